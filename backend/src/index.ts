@@ -6,6 +6,8 @@ import express from 'express';
 import cors from 'cors';
 import { uploadRouter } from './routes/upload';
 import { askRouter } from './routes/ask';
+import { projectsRouter } from './routes/projects';
+import { languageRouter } from './routes/language';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,6 +16,8 @@ app.use(cors());
 app.use(express.json());
 app.use('/api', uploadRouter);
 app.use('/api', askRouter);
+app.use('/api', projectsRouter);
+app.use('/api', languageRouter);
 
 const server = app.listen(PORT, () => {
   console.log(`Backend server running on port ${PORT}`);
@@ -1,42 +1,116 @@
 import express, { Request, Response } from 'express';
-import { FileUtils } from '../utils/fileUtils.js';
+import path from 'path';
+import { FileUtils, GlobError } from '../utils/fileUtils.js';
 import { CodeParser } from '../services/codeParser.js';
+import { answerQuestion, streamAnswer } from '../utils/ask.js';
+import { getEmbeddingProvider } from '../utils/embeddingProviders.js';
+import { getAnswerProvider } from '../utils/answerProviders.js';
+import { getVectorStore } from '../utils/vectorStores.js';
+import { ProjectStore } from '../services/projectStore.js';
+import { SymbolIndex } from '../services/symbolIndex.js';
+import { buildRetrievalQuery, ChatTurn, EditorContext } from '../services/queryRewriter.js';
+import { TextSearch, TextSearchError, TextSearchMatch } from '../services/textSearch.js';
 
 const router = express.Router();
 
+interface AskRequest {
+  question: string;
+  projectId: string;
+  history: ChatTurn[];
+  editor: EditorContext | null;
+}
+
+const MAX_HISTORY_TURNS = 6;
+const MAX_TURN_LENGTH = 2000;
+const MAX_EDITOR_CONTEXT_LENGTH = 6000;
+
+// Keep the last few well-formed turns, trimmed so a long answer can't crowd out the code context
+function parseHistory(raw: unknown): ChatTurn[] {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string')
+    .slice(-MAX_HISTORY_TURNS)
+    .map(turn => ({ role: turn.role, content: turn.content.slice(0, MAX_TURN_LENGTH) }));
+}
+
+// The file (and selection) open in the code viewer; only files inside the project are accepted
+async function parseEditorContext(projectId: string, raw: any): Promise<EditorContext | null> {
+  if (!raw || typeof raw.file !== 'string') return null;
+  const index = await SymbolIndex.forProject(projectId);
+  if (!index) return null;
+  const relativePath = FileUtils.toPosixPath(path.relative(index.root, raw.file));
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+
+  const editor: EditorContext = {
+    file: raw.file,
+    relativePath,
+  };
+  const selection = raw.selection;
+  if (selection && typeof selection.text === 'string' && selection.text.trim()
+      && Number.isInteger(selection.startLine) && Number.isInteger(selection.endLine)) {
+    editor.selection = {
+      startLine: selection.startLine,
+      endLine: selection.endLine,
+      text: selection.text.slice(0, MAX_EDITOR_CONTEXT_LENGTH),
+    };
+  } else if (typeof raw.content === 'string') {
+    editor.content = raw.content.slice(0, MAX_EDITOR_CONTEXT_LENGTH);
+  }
+  return editor;
+}
+
+// Validate the body shared by /ask and /ask/stream; returns an HTTP error instead when it is invalid.
+// Besides the question it may carry the chat `history` and the editor `context` ({ file, selection?, content? }).
+async function parseAskRequest(body: any): Promise<AskRequest | { status: number; error: string }> {
+  const { question, projectId, history, context } = body ?? {};
+
+  if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    return { status: 400, error: 'Question is required and must be a non-empty string' };
+  }
+
+  if (question.length > 1000) {
+    return { status: 400, error: 'Question is too long. Please keep it under 1000 characters.' };
+  }
+
+  if (projectId !== undefined && (typeof projectId !== 'string' || !ProjectStore.isValidId(projectId))) {
+    return { status: 400, error: 'Invalid project id' };
+  }
+
+  // Older clients don't send a project; answer from the most recent upload
+  const targetProject = projectId || (await ProjectStore.list())[0]?.id;
+  if (!targetProject) {
+    return { status: 404, error: 'No project uploaded yet' };
+  }
+
+  return {
+    question: question.trim(),
+    projectId: targetProject,
+    history: parseHistory(history),
+    editor: await parseEditorContext(targetProject, context),
+  };
+}
+
 // POST /api/ask - Answer questions about the codebase
 router.post('/ask', async (req: Request, res: Response) => {
   try {
-    const { question } = req.body;
-
-    // Validate input
-    if (!question || typeof question !== 'string' || question.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Question is required and must be a non-empty string'
-      });
-    }
-
-    if (question.length > 1000) {
-      return res.status(400).json({
-        error: 'Question is too long. Please keep it under 1000 characters.'
-      });
+    const request = await parseAskRequest(req.body);
+    if ('error' in request) {
+      return res.status(request.status).json({ error: request.error });
     }
+    const { question, projectId, history, editor } = request;
 
     console.log(`📝 Received question: ${question}`);
 
-    // Simple mock response since AI service isn't set up yet
-    const result = {
-      answer: `I understand you're asking: "${question}". The AI service is not fully configured yet, but I can help you navigate your codebase. Please make sure your codebase is properly uploaded and parsed first.`,
-      sources: [],
-      confidence: 0.5
-    };
+    const retrievalQuery = await buildRetrievalQuery(projectId, question, history, editor);
+    const result = await answerQuestion(projectId, question, { retrievalQuery, history, editor });
 
     res.json({
       success: true,
-      question: question.trim(),
+      question: question,
       answer: result.answer,
       sources: result.sources,
       confidence: result.confidence,
+      provider: result.provider,
       timestamp: new Date().toISOString()
     });
 
@@ -53,8 +127,8 @@ router.post('/ask', async (req: Request, res: Response) => {
 
     if (error.code === 'ECONNREFUSED' || error.message.includes('Qdrant')) {
       return res.status(500).json({
-        error: 'Vector database connection error. Please ensure Qdrant is running.',
-        details: 'Cannot connect to Qdrant at http://localhost:6333'
+        error: 'Vector database connection error. Please ensure Qdrant is running or set VECTOR_STORE=local.',
+        details: `Cannot connect to Qdrant at ${process.env.QDRANT_URL || 'http://localhost:6333'}`
       });
     }
 
@@ -65,30 +139,74 @@ router.post('/ask', async (req: Request, res: Response) => {
   }
 });
 
+// POST /api/ask/stream - Same as /ask, streamed as Server-Sent Events:
+// `sources` (retrieved chunks), `token` (answer text as it is generated), then `done` or `error`
+router.post('/ask/stream', async (req: Request, res: Response) => {
+  const request = await parseAskRequest(req.body).catch((error: Error) => ({ status: 500, error: error.message }));
+  if ('error' in request) {
+    return res.status(request.status).json({ error: request.error });
+  }
+  const { question, projectId, history, editor } = request;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const send = (event: string, data: unknown) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // The client closing the connection (e.g. the Chatbox cancel button) stops generation
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  console.log(`📝 Received question: ${question}`);
+
+  try {
+    const retrievalQuery = await buildRetrievalQuery(projectId, question, history, editor);
+    const conversation = { retrievalQuery, history, editor };
+    for await (const event of streamAnswer(projectId, question, conversation, controller.signal)) {
+      if (controller.signal.aborted) break;
+      const { type, ...data } = event;
+      send(type, data);
+    }
+  } catch (error: any) {
+    if (!controller.signal.aborted) {
+      console.error('❌ Error in /api/ask/stream:', error);
+      send('error', { error: 'Failed to process question', details: error.message });
+    }
+  }
+
+  if (controller.signal.aborted) {
+    console.log('⏹️ Question cancelled by client');
+  }
+  res.end();
+});
+
 // GET /api/ask/health - Health check for AI services
 router.get('/ask/health', async (req: Request, res: Response) => {
   try {
-    const { QdrantClient } = await import('@qdrant/js-client-rest');
-    const client = new QdrantClient({
-      url: process.env.QDRANT_URL || 'http://localhost:6333',
-    });
-
-    // Check Qdrant connection
-    const collections = await client.getCollections();
-    const collectionExists = collections.collections.some(
-      col => col.name === (process.env.QDRANT_COLLECTION || 'codebase_chunks')
-    );
+    const store = await getVectorStore();
+    const embeddings = getEmbeddingProvider();
+    const generation = getAnswerProvider();
 
     res.json({
       success: true,
       services: {
-        qdrant: {
-          status: 'connected',
-          url: process.env.QDRANT_URL || 'http://localhost:6333',
-          collection_exists: collectionExists
-        },
+        vectorStore: await store.status(),
         huggingface: {
           status: process.env.HUGGINGFACE_TOKEN ? 'configured' : 'not_configured'
+        },
+        embeddings: {
+          provider: embeddings.name,
+          model: embeddings.model,
+          dimensions: embeddings.dimensions
+        },
+        generation: {
+          provider: generation.name,
+          model: generation.model,
+          url: generation.baseUrl
         }
       },
       timestamp: new Date().toISOString()
@@ -138,10 +256,11 @@ router.get('/file-content', async (req: Request, res: Response) => {
   }
 });
 
-// GET /api/search - Search through codebase
+// GET /api/search - Search the symbol index of an uploaded project
+// Supports prefix/fuzzy matching plus `kind:<kind>[,<kind>]` and `file:<glob>` filters
 router.get('/search', async (req: Request, res: Response) => {
   try {
-    const { term } = req.query;
+    const { term, project, limit } = req.query;
     
     if (!term || typeof term !== 'string') {
       return res.status(400).json({
@@ -149,20 +268,20 @@ router.get('/search', async (req: Request, res: Response) => {
       });
     }
 
-    // This is a simple mock search for now
-    // In a real implementation, this would search through indexed files
-    const results = [
-      {
-        file: 'example.ts',
-        line: 10,
-        symbolKind: 'function',
-        context: `function ${term}() { // Example search result }`
-      }
-    ];
-
-    res.json(results);
+    const index = await SymbolIndex.forProject(typeof project === 'string' ? project : undefined);
+    if (!index) {
+      return res.status(404).json({
+        error: 'No symbol index found. Please upload a codebase first.'
+      });
+    }
+
+    const maxResults = Math.min(Number(limit) || 50, 500);
+    res.json(index.search(term, maxResults));
     
   } catch (error: any) {
+    if (error instanceof GlobError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error searching:', error);
     res.status(500).json({
       error: 'Failed to search',
@@ -171,4 +290,70 @@ router.get('/search', async (req: Request, res: Response) => {
   }
 });
 
+// GET /api/search/text - grep-style search over the contents of an uploaded project
+// Query: q, regex, caseSensitive, wholeWord (flags "1"/"true"), include/exclude (comma-separated globs),
+// context (lines around each hit), limit, stream ("1" streams newline-delimited JSON)
+router.get('/search/text', async (req: Request, res: Response) => {
+  const flag = (value: unknown) => value === '1' || value === 'true';
+  const globs = (value: unknown) =>
+    typeof value === 'string' ? value.split(',').map(g => g.trim()).filter(Boolean) : [];
+
+  try {
+    const { q, project } = req.query;
+
+    if (!q || typeof q !== 'string') {
+      return res.status(400).json({
+        error: 'Search query is required'
+      });
+    }
+
+    const index = await SymbolIndex.forProject(typeof project === 'string' ? project : undefined);
+    if (!index) {
+      return res.status(404).json({
+        error: 'Project not found. Please upload a codebase first.'
+      });
+    }
+
+    const search = new TextSearch(index.root, {
+      query: q,
+      regex: flag(req.query.regex),
+      caseSensitive: flag(req.query.caseSensitive),
+      wholeWord: flag(req.query.wholeWord),
+      include: globs(req.query.include),
+      exclude: globs(req.query.exclude),
+      contextLines: Number(req.query.context) || 0,
+      maxResults: Math.min(Number(req.query.limit) || 1000, 10000),
+    });
+
+    if (!flag(req.query.stream)) {
+      const matches: TextSearchMatch[] = [];
+      for await (const match of search.run()) matches.push(match);
+      return res.json({ success: true, matches, ...search.summary });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    req.on('close', () => search.abort());
+
+    for await (const match of search.run()) {
+      res.write(JSON.stringify({ type: 'match', ...match }) + '\n');
+    }
+    res.end(JSON.stringify({ type: 'done', ...search.summary }) + '\n');
+
+  } catch (error: any) {
+    if (error instanceof TextSearchError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('❌ Error searching file contents:', error);
+    if (res.headersSent) {
+      return res.end(JSON.stringify({ type: 'error', error: error.message }) + '\n');
+    }
+    res.status(500).json({
+      error: 'Failed to search file contents',
+      details: error.message
+    });
+  }
+});
+
 export { router as askRouter };
@@ -0,0 +1,46 @@
+import express, { Request, Response } from 'express';
+import { LanguageService, LanguageServiceError } from '../services/languageService.js';
+
+const router = express.Router();
+
+// Shared handler for position-based lookups: ?project=<id>&file=<absolute path>&line=<n>&column=<n>
+const positionLookup = (name: string, lookup: (service: LanguageService, file: string, line: number, column: number) => unknown) =>
+  async (req: Request, res: Response) => {
+    try {
+      const { project, file } = req.query;
+      if (typeof project !== 'string' || typeof file !== 'string') {
+        return res.status(400).json({ error: 'project and file are required' });
+      }
+
+      const service = await LanguageService.forProject(project);
+      const result = lookup(service, file, Number(req.query.line), Number(req.query.column));
+      res.json({ success: true, ...(result as object) });
+    } catch (error: any) {
+      if (error instanceof LanguageServiceError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.error(`❌ Error finding ${name}:`, error);
+      res.status(500).json({
+        error: `Failed to find ${name}`,
+        details: error.message
+      });
+    }
+  };
+
+// GET /api/definition - Where the symbol at a position is declared
+router.get('/definition', positionLookup('definition', (service, file, line, column) => ({
+  definitions: service.definitions(file, line, column)
+})));
+
+// GET /api/references - All references to the symbol at a position
+router.get('/references', positionLookup('references', (service, file, line, column) => ({
+  references: service.references(file, line, column)
+})));
+
+// GET /api/quickinfo - Type signature, docs and declaration of the symbol at a position (null when there is none)
+router.get('/quickinfo', positionLookup('quick info', (service, file, line, column) => ({
+  quickInfo: service.quickInfo(file, line, column)
+})));
+
+export { router as languageRouter };
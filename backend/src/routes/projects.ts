@@ -0,0 +1,208 @@
+import express, { Request, Response } from 'express';
+import multer from 'multer';
+import { ProjectStore } from '../services/projectStore.js';
+import { SymbolIndex } from '../services/symbolIndex.js';
+import { LanguageService } from '../services/languageService.js';
+import { DependencyGraph, GraphEdgeType, GraphNodeType } from '../services/dependencyGraph.js';
+import { ImpactAnalysis, ImpactAnalysisError } from '../services/impactAnalysis.js';
+import { DependencyCycles } from '../services/dependencyCycles.js';
+import { DeadCodeAnalysis } from '../services/deadCode.js';
+import { clearIndex } from '../utils/embedding.js';
+import { GlobError } from '../utils/fileUtils.js';
+
+const router = express.Router();
+
+// More nodes than this would not render usably anyway
+const MAX_GRAPH_NODES = 5000;
+const DEFAULT_FOCUS_DEPTH = 2;
+
+// Patches are read in memory; nothing is kept
+const patchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+// GET /api/projects - List previously uploaded projects
+router.get('/projects', async (req: Request, res: Response) => {
+  try {
+    const projects = await ProjectStore.list();
+    res.json({ success: true, projects });
+  } catch (error: any) {
+    console.error('❌ Error listing projects:', error);
+    res.status(500).json({
+      error: 'Failed to list projects',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/projects/:id - Reopen a project from its cached parse results
+router.get('/projects/:id', async (req: Request, res: Response) => {
+  try {
+    const project = await ProjectStore.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(project);
+  } catch (error: any) {
+    console.error('❌ Error loading project:', error);
+    res.status(500).json({
+      error: 'Failed to load project',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/projects/:id/graph - File/function/call graph built at upload, filtered server-side
+// Query: types (file,function,external), edges (imports,calls,contains), files (comma-separated globs),
+// package (comma-separated workspace packages), search (substring of node names, or a pattern with * and ?),
+// collapse ("1" folds functions into their files), focus (node id) and depth (hops around it: 0 or more,
+// or "all"), limit (max nodes)
+router.get('/projects/:id/graph', async (req: Request, res: Response) => {
+  const list = (value: unknown) =>
+    typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+
+  const { depth = String(DEFAULT_FOCUS_DEPTH) } = req.query;
+  if (depth !== 'all' && !(typeof depth === 'string' && /^\d+$/.test(depth))) {
+    return res.status(400).json({ error: 'depth must be "all" or a whole number of hops (0 or more)' });
+  }
+
+  try {
+    const graph = await DependencyGraph.forProject(req.params.id);
+    if (!graph) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = graph.query({
+      nodeTypes: list(req.query.types) as GraphNodeType[],
+      edgeTypes: list(req.query.edges) as GraphEdgeType[],
+      fileGlobs: list(req.query.files),
+      packages: list(req.query.package),
+      search: typeof req.query.search === 'string' ? req.query.search.trim() : '',
+      collapse: req.query.collapse === '1' || req.query.collapse === 'true',
+      focus: typeof req.query.focus === 'string' ? req.query.focus : '',
+      depth: depth === 'all' ? Infinity : Number(depth),
+      limit: Math.min(Number(req.query.limit) || MAX_GRAPH_NODES, MAX_GRAPH_NODES),
+    });
+    res.json({ success: true, ...result });
+  } catch (error: any) {
+    if (error instanceof GlobError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error loading dependency graph:', error);
+    res.status(500).json({
+      error: 'Failed to load dependency graph',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/projects/:id/impact - What a set of changes affects, ranked by distance
+// Body (JSON or multipart): changes (array, or one per line: paths, path:function, path:line, function
+// names, package names) and/or patch (unified diff text, or an uploaded `patch` file).
+// Query: format=markdown returns the report as a Markdown download
+router.post('/projects/:id/impact', patchUpload.single('patch'), async (req: Request, res: Response) => {
+  const body = req.body || {};
+  const changes: string[] = Array.isArray(body.changes)
+    ? body.changes.map(String)
+    : typeof body.changes === 'string' ? body.changes.split(/\r?\n/) : [];
+  const patch = req.file ? req.file.buffer.toString('utf-8') : typeof body.patch === 'string' ? body.patch : undefined;
+
+  try {
+    const graph = await DependencyGraph.forProject(req.params.id);
+    if (!graph) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const report = new ImpactAnalysis(graph).analyze(changes, patch);
+    console.log(`💥 Impact of ${report.changes.length} changes: ${report.files.length} files, ${report.functions.length} functions, ${report.tests.length} tests`);
+
+    if (req.query.format === 'markdown') {
+      res.setHeader('Content-Disposition', `attachment; filename="impact-${graph.projectId}.md"`);
+      return res.type('text/markdown').send(ImpactAnalysis.toMarkdown(report));
+    }
+    res.json({ success: true, report });
+  } catch (error: any) {
+    if (error instanceof ImpactAnalysisError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error analyzing impact:', error);
+    res.status(500).json({
+      error: 'Failed to analyze impact',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/projects/:id/cycles - Circular imports and mutually recursive calls, with the lines forming them
+router.get('/projects/:id/cycles', async (req: Request, res: Response) => {
+  try {
+    const graph = await DependencyGraph.forProject(req.params.id);
+    if (!graph) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const cycles = await DependencyCycles.find(graph);
+    res.json({ success: true, ...cycles });
+  } catch (error: any) {
+    console.error('❌ Error detecting dependency cycles:', error);
+    res.status(500).json({
+      error: 'Failed to detect dependency cycles',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/projects/:id/dead-code - Unused exports, uncalled functions, unreachable files and unused dependencies
+// Query: entries (comma-separated globs of additional entry point files)
+router.get('/projects/:id/dead-code', async (req: Request, res: Response) => {
+  const entries = typeof req.query.entries === 'string'
+    ? req.query.entries.split(',').map(glob => glob.trim()).filter(Boolean)
+    : [];
+
+  try {
+    const [project, graph] = await Promise.all([ProjectStore.get(req.params.id), DependencyGraph.forProject(req.params.id)]);
+    if (!project || !graph) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const report = await DeadCodeAnalysis.analyze(project, graph, entries);
+    console.log(`🧹 Dead code in ${graph.projectId}: ${report.unusedExports.length} exports, ${report.uncalledFunctions.length} functions, ${report.unreachableFiles.length} files, ${report.unusedDependencies.length} dependencies`);
+    res.json({ success: true, report });
+  } catch (error: any) {
+    if (error instanceof GlobError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error finding dead code:', error);
+    res.status(500).json({
+      error: 'Failed to find dead code',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/projects/:id - Remove a project and everything cached for it
+router.delete('/projects/:id', async (req: Request, res: Response) => {
+  try {
+    const deleted = await ProjectStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    SymbolIndex.evict(req.params.id);
+    LanguageService.evict(req.params.id);
+    DependencyGraph.evict(req.params.id);
+    await clearIndex(req.params.id).catch(() => {}); // Q&A vectors are optional
+    console.log(`🗑️ Deleted project ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error: any) {
+    console.error('❌ Error deleting project:', error);
+    res.status(500).json({
+      error: 'Failed to delete project',
+      details: error.message
+    });
+  }
+});
+
+export { router as projectsRouter };
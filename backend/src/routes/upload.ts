@@ -1,6 +1,12 @@
 import express from 'express';
 import multer from 'multer';
-import { CodeParser } from '../services/codeParser.js';
+import { ProjectStore } from '../services/projectStore.js';
+import { SymbolIndex } from '../services/symbolIndex.js';
+import { LanguageService } from '../services/languageService.js';
+import { DependencyGraph } from '../services/dependencyGraph.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { chunkProject } from '../services/codeChunker.js';
+import { indexCodeChunks } from '../utils/embedding.js';
 
 const router = express.Router();
 const upload = multer({ 
@@ -23,10 +29,39 @@ router.post('/upload', upload.single('codebase'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    // Passing an existing projectId re-uploads into that project, so only changed code is re-indexed
+    const { projectId } = req.body ?? {};
+    if (projectId !== undefined && !(typeof projectId === 'string' && await ProjectStore.getMeta(projectId))) {
+      await FileUtils.deleteFile(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
     console.log('📁 Processing uploaded file:', req.file.originalname);
-    const parser = new CodeParser();
-    const result = await parser.parseProject(req.file.path);
-    console.log('✅ Successfully processed codebase');
+    const { data: result, project } = projectId
+      ? await ProjectStore.replace(projectId, req.file.path, req.file.originalname)
+      : await ProjectStore.create(req.file.path, req.file.originalname);
+    LanguageService.evict(result.projectId); // re-uploads change the sources under a cached project
+    try {
+      const index = await SymbolIndex.build(result.projectId, result.rootPath, result.parsedFiles);
+      console.log(`🔎 Indexed ${index.symbols.length} symbols`);
+    } catch (indexError) {
+      console.error('⚠️ Failed to build symbol index:', indexError);
+    }
+    try {
+      const graph = await DependencyGraph.build(result, project);
+      console.log(`🕸️ Built dependency graph with ${graph.nodes.length} nodes and ${graph.edges.length} edges`);
+    } catch (graphError) {
+      // Never serve the previous upload's graph, from memory or from graph.json
+      await DependencyGraph.discard(result.projectId).catch(() => {});
+      console.error('⚠️ Failed to build dependency graph:', graphError);
+    }
+
+    // Index code chunks for /api/ask in the background; Q&A is optional, so this must not fail the upload
+    chunkProject(result)
+      .then(chunks => indexCodeChunks(result.projectId, chunks))
+      .catch(error => console.error('⚠️ Failed to index code chunks for Q&A:', error.message));
+
+    console.log(`✅ Successfully processed codebase as project ${result.projectId}`);
     res.json(result);
   } catch (error) {
     console.error('❌ Upload error:', error);
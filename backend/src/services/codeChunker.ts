@@ -0,0 +1,104 @@
+import path from 'path';
+import { FileUtils } from '../utils/fileUtils.js';
+import type { CodeSymbol, ParsedFile, ProjectData } from './codeParser.js';
+
+export interface CodeChunk {
+  file: string;
+  relativePath: string;
+  line: number;
+  endLine: number;
+  text: string;
+  type: 'function' | 'class' | 'variable' | 'interface' | 'enum' | 'type' | 'module';
+  function_name: string | null;
+}
+
+const MAX_CHUNK_LINES = 80;
+const MODULE_WINDOW_LINES = 40;
+const MAX_CHUNK_CHARS = 3000;
+const CHUNKED_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Symbols that become their own chunk, with the chunk type they get; everything else ends up in module-level chunks
+const CHUNK_TYPES = new Map<CodeSymbol['kind'], CodeChunk['type']>([
+  ['function', 'function'],
+  ['class', 'class'],
+  ['variable', 'variable'],
+  ['interface', 'interface'],
+  ['enum', 'enum'],
+  ['type', 'type'],
+]);
+
+// Split every parsed source file into retrieval chunks for the Q&A index
+export async function chunkProject(data: ProjectData): Promise<CodeChunk[]> {
+  const root = await FileUtils.resolveProjectRoot(data.rootPath);
+  return data.parsedFiles
+    .filter(file => CHUNKED_EXTENSIONS.includes(path.extname(file.path)))
+    .flatMap(file => chunkFile(file, FileUtils.toPosixPath(path.relative(root, file.path))));
+}
+
+// One chunk per top-level function/class (split if very long), plus windows over the remaining lines
+export function chunkFile(file: ParsedFile, relativePath: string): CodeChunk[] {
+  const lines = file.content.split('\n');
+  const covered = new Array<boolean>(lines.length).fill(false);
+  const chunks: CodeChunk[] = [];
+
+  const symbols = file.symbols
+    .filter(s => CHUNK_TYPES.has(s.kind) && s.endLine !== undefined)
+    // Single-line variables and type aliases (constants, simple assignments) read better as part of the module chunk
+    .filter(s => (s.kind !== 'variable' && s.kind !== 'type') || (s.endLine as number) > s.line)
+    .sort((a, b) => a.line - b.line);
+
+  for (const symbol of symbols) {
+    const start = symbol.line;
+    const end = symbol.endLine as number;
+    if (covered[start - 1]) continue; // nested inside an earlier chunk
+
+    const type = CHUNK_TYPES.get(symbol.kind)!;
+    for (let from = start; from <= end; from += MAX_CHUNK_LINES) {
+      const to = Math.min(end, from + MAX_CHUNK_LINES - 1);
+      chunks.push(makeChunk(file, relativePath, lines, from, to, type, symbol.name));
+    }
+    for (let i = start - 1; i < end; i++) covered[i] = true;
+  }
+
+  // Group uncovered lines (imports, top-level statements) into fixed-size windows
+  let windowStart = -1;
+  const flush = (endIndex: number) => {
+    if (windowStart === -1) return;
+    const text = lines.slice(windowStart, endIndex + 1).join('\n');
+    if (text.trim()) {
+      chunks.push(makeChunk(file, relativePath, lines, windowStart + 1, endIndex + 1, 'module', null));
+    }
+    windowStart = -1;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    if (covered[i]) {
+      flush(i - 1);
+      continue;
+    }
+    if (windowStart === -1) windowStart = i;
+    if (i - windowStart + 1 >= MODULE_WINDOW_LINES) flush(i);
+  }
+  flush(lines.length - 1);
+
+  return chunks.sort((a, b) => a.line - b.line);
+}
+
+function makeChunk(
+  file: ParsedFile,
+  relativePath: string,
+  lines: string[],
+  line: number,
+  endLine: number,
+  type: CodeChunk['type'],
+  functionName: string | null,
+): CodeChunk {
+  return {
+    file: file.path,
+    relativePath,
+    line,
+    endLine,
+    text: lines.slice(line - 1, endLine).join('\n').slice(0, MAX_CHUNK_CHARS),
+    type,
+    function_name: functionName,
+  };
+}
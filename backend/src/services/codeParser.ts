@@ -1,22 +1,43 @@
-import { Project, ScriptTarget, ModuleKind } from 'ts-morph';
+import { Project, ScriptTarget, ModuleKind, ModuleResolutionKind, SourceFile, ModuleDeclaration, ClassDeclaration, Node, Scope, SyntaxKind, ts } from 'ts-morph';
 import fs from 'fs/promises';
 import path from 'path';
 import { FileUtils } from '../utils/fileUtils.js';
+import { WorkspaceDetector, WorkspaceInfo } from './workspaceDetector.js';
+
+export type SymbolKind =
+  | 'function' | 'class' | 'interface' | 'variable' | 'import' | 'export'
+  | 'method' | 'property' | 'constructor' | 'getter' | 'setter' | 'enum' | 'type' | 'namespace';
+
+export type Visibility = 'public' | 'protected' | 'private';
 
 export interface CodeSymbol {
   name: string;
-  kind: 'function' | 'class' | 'interface' | 'variable' | 'import' | 'export';
+  kind: SymbolKind;
   line: number;
   column: number;
+  endLine?: number;
   signature?: string;
+  exported: boolean;
+  visibility?: Visibility; // class members only
+  isStatic?: boolean;      // class members only
+  parent?: string;         // dotted name of the enclosing class, interface or namespace
+}
+
+// One module specifier in a file (import/export ... from, require(), import()) and where it points
+export interface ImportInfo {
+  specifier: string;
+  resolvedPath: string | null; // absolute path of the project file it resolves to
+  isExternal: boolean;         // a package (node_modules or an unresolved bare specifier)
+  line: number;
 }
 
 export interface ParsedFile {
   path: string;
   content: string;
   symbols: CodeSymbol[];
-  imports: string[];
+  imports: ImportInfo[];
   exports: string[];
+  package?: string; // name of the workspace package the file belongs to
 }
 
 export interface FileNode {
@@ -33,40 +54,106 @@ export interface ProjectData {
   parsedFiles: ParsedFile[];
   totalFiles: number;
   totalLines: number;
+  projectId: string;
   projectName: string;
+  rootPath: string;
+  workspace: WorkspaceInfo;
+}
+
+const COMPILER_OPTIONS = {
+  target: ScriptTarget.ES2020,
+  module: ModuleKind.ESNext,
+  moduleResolution: ModuleResolutionKind.Node10,
+  allowJs: true,
+  declaration: false,
+  strict: false,
+};
+
+// Files the TypeScript compiler can load for language features
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Looked up in the project root; jsconfig.json implies allowJs
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Declaration text up to its body on one line, e.g. "async save(id: string): Promise<void>"
+function headerOf(node: Node, body: Node | undefined): string {
+  const text = node.getText();
+  return collapse(body ? text.slice(0, body.getStart() - node.getStart()) : text);
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s+/g, ' ').trim();
 }
 
 export class CodeParser {
   private project = new Project({
     useInMemoryFileSystem: true,
-    compilerOptions: {
-      target: ScriptTarget.ES2020,
-      module: ModuleKind.ESNext,
-      allowJs: true,
-      declaration: false,
-      strict: false,
-    },
+    compilerOptions: COMPILER_OPTIONS,
   });
 
-  async parseProject(projectPath: string): Promise<ProjectData> {
-    // First, extract the ZIP file - assume all uploaded files are ZIP files
-    const extractedPath = projectPath + '_extracted';
-    await FileUtils.extractZip(projectPath, extractedPath);
-    // Clean up the original ZIP file after extraction
-    await FileUtils.deleteFile(projectPath);
-    
+  // Load every source file of an extracted project into one filesystem-backed Project so the
+  // type checker can follow imports across files (definitions, references, hover info).
+  // The project's own tsconfig.json/jsconfig.json is honoured for paths, baseUrl and allowJs.
+  static async loadProject(root: string): Promise<Project> {
+    const project = await CodeParser.createProject(await FileUtils.resolveProjectRoot(root));
+    const files = await FileUtils.getAllFiles(root);
+    for (const fp of files) {
+      const dirs = path.relative(root, fp).split(path.sep).slice(0, -1);
+      if (dirs.some(dir => FileUtils.shouldSkipDirectory(dir))) continue;
+      if (SOURCE_EXTENSIONS.includes(path.extname(fp))) project.addSourceFileAtPath(fp);
+    }
+    return project;
+  }
+
+  private static async createProject(root: string): Promise<Project> {
+    for (const name of CONFIG_FILES) {
+      const configPath = path.join(root, name);
+      try {
+        await fs.access(configPath);
+      } catch {
+        continue;
+      }
+      try {
+        const project = new Project({ tsConfigFilePath: configPath, skipAddingFilesFromTsConfig: true });
+        const options = project.getCompilerOptions();
+        // Without an explicit setting, "module": "esnext" would select the classic resolver,
+        // which neither looks into node_modules nor resolves directory index files
+        const overrides = {
+          ...(options.moduleResolution === undefined && options.module !== ModuleKind.Node16 && options.module !== ModuleKind.NodeNext
+            ? { moduleResolution: ModuleResolutionKind.Node10 }
+            : {}),
+          ...(name === 'jsconfig.json' ? { allowJs: true } : {}),
+        };
+        if (Object.keys(overrides).length > 0) project.compilerOptions.set(overrides);
+        console.log(`⚙️ Using compiler options from ${name}`);
+        return project;
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${name}, using default compiler options:`, (error as Error).message);
+        break;
+      }
+    }
+    return new Project({ compilerOptions: COMPILER_OPTIONS });
+  }
+
+  // Parse an already-extracted project directory; `project` is its CodeParser.loadProject result
+  async parseProject(extractedPath: string, projectId: string, projectName: string, project: Project): Promise<ProjectData> {
     // Build file tree
     const files = await this.buildFileTree(extractedPath);
     // Parse files
-    const parsedFiles = await this.parseFiles(extractedPath);
+    const parsedFiles = await this.parseFiles(extractedPath, project);
+    // Monorepo packages
+    const workspace = await WorkspaceDetector.detect(extractedPath);
+    for (const file of parsedFiles) {
+      file.package = WorkspaceDetector.packageOf(workspace, file.path)?.name;
+    }
+    if (workspace.tools.length > 0) {
+      console.log(`📦 Detected ${workspace.tools.join(' + ')} workspace with ${workspace.packages.length} packages`);
+    }
     // Stats
     const totalFiles = await this.countFiles(files);
     const totalLines = parsedFiles.reduce((sum, f) => sum + f.content.split('\n').length, 0);
     
-    // Extract project name from the path
-    const projectName = path.basename(extractedPath).replace('_extracted', '');
-    
-    return { files, parsedFiles, totalFiles, totalLines, projectName };
+    return { files, parsedFiles, totalFiles, totalLines, projectId, projectName, rootPath: extractedPath, workspace };
   }
 
   private async buildFileTree(dir: string): Promise<FileNode[]> {
@@ -75,7 +162,7 @@ export class CodeParser {
     for (const ent of entries) {
       const fullPath = path.join(dir, ent.name);
       if (ent.isDirectory()) {
-        if (this.shouldSkipDirectory(ent.name)) continue;
+        if (FileUtils.shouldSkipDirectory(ent.name)) continue;
         const children = await this.buildFileTree(fullPath);
         nodes.push({ name: ent.name, path: fullPath, type: 'folder', children });
       } else {
@@ -92,18 +179,13 @@ export class CodeParser {
     return nodes.sort((a, b) => (a.type !== b.type ? (a.type === 'folder' ? -1 : 1) : a.name.localeCompare(b.name)));
   }
 
-  private shouldSkipDirectory(name: string) {
-    const skip = ['node_modules', '.git', '.next', '.nuxt', 'dist', 'build', 'coverage', '.cache'];
-    return skip.includes(name) || name.startsWith('.');
-  }
-
-  private async parseFiles(root: string): Promise<ParsedFile[]> {
+  private async parseFiles(root: string, project: Project): Promise<ParsedFile[]> {
     const all = await FileUtils.getAllFiles(root);
     const results: ParsedFile[] = [];
     for (const fp of all) {
       if (this.isSupported(fp)) {
         try {
-          results.push(await this.parseFile(fp));
+          results.push(await this.parseFile(fp, project));
         } catch {}
       }
     }
@@ -114,48 +196,125 @@ export class CodeParser {
     return ['.ts', '.tsx', '.js', '.jsx', '.json'].some(ext => fp.endsWith(ext));
   }
 
-  private async parseFile(fp: string): Promise<ParsedFile> {
+  private async parseFile(fp: string, project: Project): Promise<ParsedFile> {
     const content = await FileUtils.readFile(fp);
-    const symbols = await this.parseFileSymbols(fp);
-    return { path: fp, content, symbols, imports: this.extractImports(content), exports: this.extractExports(content) };
+    // Files in skipped directories and JSON are not part of the compiler project
+    const src = project.getSourceFile(fp);
+    if (!src) {
+      return { path: fp, content, symbols: await this.parseFileSymbols(fp), imports: [], exports: this.extractExports(content) };
+    }
+    return { path: fp, content, symbols: this.extractSymbols(src), imports: this.extractImports(src, project), exports: this.extractExports(content) };
   }
 
+  // Symbols of a single file, without the rest of its project
   async parseFileSymbols(fp: string): Promise<CodeSymbol[]> {
     const content = await FileUtils.readFile(fp);
-    const src = this.project.createSourceFile(fp, content, { overwrite: true });
+    return this.extractSymbols(this.project.createSourceFile(fp, content, { overwrite: true }));
+  }
+
+  private extractSymbols(src: SourceFile): CodeSymbol[] {
     const syms: CodeSymbol[] = [];
-    src.getFunctions().forEach(f => {
-      const pos = src.getLineAndColumnAtPos(f.getStart());
-      syms.push({ name: f.getName() || '<anonymous>', kind: 'function', line: pos.line, column: pos.column, signature: f.getSignature().getDeclaration()?.getText() });
+    this.collectDeclarations(src, src, undefined, syms);
+    src.getImportDeclarations().forEach(id => {
+      syms.push(this.toSymbol(src, id, { name: id.getModuleSpecifierValue(), kind: 'import', signature: id.getText(), exported: false }));
     });
-    src.getClasses().forEach(c => {
-      const pos = src.getLineAndColumnAtPos(c.getStart());
-      syms.push({ name: c.getName() || '<anonymous>', kind: 'class', line: pos.line, column: pos.column, signature: `class ${c.getName()}` });
+    src.getExportDeclarations().forEach(ed => {
+      syms.push(this.toSymbol(src, ed, { name: ed.getModuleSpecifierValue() || '<re-export>', kind: 'export', signature: ed.getText(), exported: true }));
     });
-    src.getInterfaces().forEach(i => {
-      const pos = src.getLineAndColumnAtPos(i.getStart());
-      syms.push({ name: i.getName(), kind: 'interface', line: pos.line, column: pos.column, signature: `interface ${i.getName()}` });
+    return syms.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  // Declarations of a file or namespace body; `parent` is the dotted name of the enclosing namespace
+  private collectDeclarations(src: SourceFile, container: SourceFile | ModuleDeclaration, parent: string | undefined, syms: CodeSymbol[]) {
+    const qualify = (name: string) => parent ? `${parent}.${name}` : name;
+
+    container.getFunctions().forEach(f => {
+      syms.push(this.toSymbol(src, f, { name: f.getName() || '<anonymous>', kind: 'function', signature: headerOf(f, f.getBody()), exported: f.isExported(), parent }));
     });
-    src.getVariableDeclarations().forEach(v => {
-      const pos = src.getLineAndColumnAtPos(v.getStart());
-      syms.push({ name: v.getName(), kind: 'variable', line: pos.line, column: pos.column, signature: v.getText() });
+    container.getClasses().forEach(c => {
+      const name = c.getName() || '<anonymous>';
+      syms.push(this.toSymbol(src, c, { name, kind: 'class', signature: headerOf(c, c.getFirstChildByKind(SyntaxKind.OpenBraceToken)), exported: c.isExported(), parent }));
+      this.collectClassMembers(src, c, qualify(name), syms);
     });
-    src.getImportDeclarations().forEach(id => {
-      const pos = src.getLineAndColumnAtPos(id.getStart());
-      syms.push({ name: id.getModuleSpecifierValue(), kind: 'import', line: pos.line, column: pos.column, signature: id.getText() });
+    container.getInterfaces().forEach(i => {
+      syms.push(this.toSymbol(src, i, { name: i.getName(), kind: 'interface', signature: `interface ${i.getName()}`, exported: i.isExported(), parent }));
+      const owner = qualify(i.getName());
+      i.getMethods().forEach(m => {
+        syms.push(this.toSymbol(src, m, { name: m.getName(), kind: 'method', signature: collapse(m.getText()), exported: false, parent: owner }));
+      });
+      i.getProperties().forEach(p => {
+        syms.push(this.toSymbol(src, p, { name: p.getName(), kind: 'property', signature: collapse(p.getText()), exported: false, parent: owner }));
+      });
     });
-    src.getExportDeclarations().forEach(ed => {
-      const pos = src.getLineAndColumnAtPos(ed.getStart());
-      syms.push({ name: ed.getModuleSpecifierValue() || '<re-export>', kind: 'export', line: pos.line, column: pos.column, signature: ed.getText() });
+    container.getEnums().forEach(e => {
+      syms.push(this.toSymbol(src, e, { name: e.getName(), kind: 'enum', signature: `enum ${e.getName()}`, exported: e.isExported(), parent }));
+    });
+    container.getTypeAliases().forEach(t => {
+      syms.push(this.toSymbol(src, t, { name: t.getName(), kind: 'type', signature: collapse(t.getText()), exported: t.isExported(), parent }));
+    });
+    container.getVariableStatements().forEach(statement => {
+      statement.getDeclarations().forEach(v => {
+        // `const handler = async (req) => {...}` is a function for every purpose but the grammar's
+        const initializer = v.getInitializer();
+        const isFunction = Node.isArrowFunction(initializer) || Node.isFunctionExpression(initializer);
+        syms.push(this.toSymbol(src, v, {
+          name: v.getName(),
+          kind: isFunction ? 'function' : 'variable',
+          signature: isFunction ? `${statement.getDeclarationKind()} ${headerOf(v, initializer.getBody())}` : v.getText(),
+          exported: statement.isExported(),
+          parent,
+        }));
+      });
+    });
+    container.getModules().forEach(ns => {
+      syms.push(this.toSymbol(src, ns, { name: ns.getName(), kind: 'namespace', signature: `namespace ${ns.getName()}`, exported: ns.isExported(), parent }));
+      this.collectDeclarations(src, ns, qualify(ns.getName()), syms);
     });
-    return syms;
   }
 
-  private extractImports(content: string): string[] {
-    const arr: string[] = [];
-    const regex = /import\s+.*?from\s+['"]([^'\"]+)['"]/g;
-    let m; while ((m = regex.exec(content))) arr.push(m[1]);
-    return arr;
+  private collectClassMembers(src: SourceFile, c: ClassDeclaration, parent: string, syms: CodeSymbol[]) {
+    // `#name` members are private whatever their (absent) modifier says
+    const visibility = (member: { getName(): string; getScope(): Scope }): Visibility =>
+      member.getName().startsWith('#') ? 'private' : member.getScope();
+
+    c.getConstructors().forEach(ctor => {
+      syms.push(this.toSymbol(src, ctor, { name: 'constructor', kind: 'constructor', signature: headerOf(ctor, ctor.getBody()), exported: false, visibility: ctor.getScope(), parent }));
+    });
+    c.getMethods().forEach(m => {
+      syms.push(this.toSymbol(src, m, { name: m.getName(), kind: 'method', signature: headerOf(m, m.getBody()), exported: false, visibility: visibility(m), isStatic: m.isStatic(), parent }));
+    });
+    c.getProperties().forEach(p => {
+      syms.push(this.toSymbol(src, p, { name: p.getName(), kind: 'property', signature: collapse(p.getText()), exported: false, visibility: visibility(p), isStatic: p.isStatic(), parent }));
+    });
+    c.getGetAccessors().forEach(g => {
+      syms.push(this.toSymbol(src, g, { name: g.getName(), kind: 'getter', signature: headerOf(g, g.getBody()), exported: false, visibility: visibility(g), isStatic: g.isStatic(), parent }));
+    });
+    c.getSetAccessors().forEach(st => {
+      syms.push(this.toSymbol(src, st, { name: st.getName(), kind: 'setter', signature: headerOf(st, st.getBody()), exported: false, visibility: visibility(st), isStatic: st.isStatic(), parent }));
+    });
+  }
+
+  private toSymbol(src: SourceFile, node: Node, fields: Omit<CodeSymbol, 'line' | 'column' | 'endLine'>): CodeSymbol {
+    const pos = src.getLineAndColumnAtPos(node.getStart());
+    const endLine = src.getLineAndColumnAtPos(node.getEnd()).line;
+    return { ...fields, line: pos.line, column: pos.column, endLine };
+  }
+
+  // Resolve every module specifier with the project's compiler options, the way tsc would
+  private extractImports(src: SourceFile, project: Project): ImportInfo[] {
+    const options = project.getCompilerOptions();
+    const host = project.getModuleResolutionHost();
+    return src.getImportStringLiterals().map(literal => {
+      const specifier = literal.getLiteralValue();
+      const resolved = ts.resolveModuleName(specifier, src.getFilePath(), options, host).resolvedModule;
+      const isExternal = resolved ? !!resolved.isExternalLibraryImport : !specifier.startsWith('.') && !path.isAbsolute(specifier);
+      return {
+        specifier,
+        resolvedPath: resolved && !isExternal ? path.resolve(resolved.resolvedFileName) : null,
+        isExternal,
+        line: literal.getStartLineNumber(),
+      };
+    });
   }
 
   private extractExports(content: string): string[] {
@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import path from 'path';
+import type { ProjectData } from './codeParser.js';
+import { DependencyGraph, GraphNode, packageNameOf } from './dependencyGraph.js';
+import { findSourceFile, WorkspacePackage } from './workspaceDetector.js';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export type EntryReason = 'package' | 'bin' | 'script' | 'html' | 'convention' | 'configured' | 'unimported';
+
+export interface EntryPoint {
+  filename: string;
+  relativePath: string;
+  reason: EntryReason;
+}
+
+export interface UnusedExport {
+  name: string;             // 'default' for the default export
+  filename: string;
+  relativePath: string;
+  line: number;
+  package: string | null;
+}
+
+export interface UncalledFunction {
+  id: string;
+  name: string;             // methods are not reported: calls through objects cannot be told apart by name
+  filename: string;
+  relativePath: string;
+  line: number;
+  package: string | null;
+}
+
+export interface UnreachableFile {
+  filename: string;
+  relativePath: string;
+  package: string | null;
+}
+
+export interface UnusedDependency {
+  name: string;
+  version: string;
+  package: string;          // the workspace package declaring it
+  manifest: string;         // relative path of its package.json
+  dev: boolean;             // devDependencies are often used by tooling rather than imported
+}
+
+export interface DeadCodeReport {
+  projectId: string;
+  createdAt: string;
+  entryPoints: EntryPoint[];
+  unusedExports: UnusedExport[];
+  uncalledFunctions: UncalledFunction[];
+  unreachableFiles: UnreachableFile[];
+  unusedDependencies: UnusedDependency[];
+}
+
+interface Manifest {
+  bin?: string | Record<string, string>;
+  scripts?: Record<string, string>;
+}
+
+// Files frameworks and tools load by location rather than through an import
+const CONVENTIONAL_ENTRIES = [
+  '**/pages/**',                                                          // Next.js pages router
+  '**/app/**/{page,layout,template,loading,error,not-found,default,route}.*', // Next.js app router
+  '**/{middleware,instrumentation}.{ts,js}',
+  '**/{app,src}/routes/**',                                               // Remix, SvelteKit, TanStack
+  '**/*.config.{ts,js,mjs,cjs,mts,cts}',
+  '**/*.{test,spec,stories}.*',
+  '**/{__tests__,__mocks__,test,tests,e2e,cypress}/**',
+];
+const SCRIPT_FILE = /^(?:\.\/)?[\w@./-]+\.(?:[cm]?[jt]sx?)$/;
+const HTML_SCRIPT = /<script\b[^>]*\bsrc=["']([^"']+)["']/g;
+// Tool settings that name packages (plugins, presets, parsers) without importing them
+const CONFIG_FILE = /^\.?[\w.-]*(?:rc|config)(?:\.[\w]+)*$/i;
+// Dependencies used without being imported: the JSX runtime
+const JSX_FILE = /\.[jt]sx$/;
+
+// Dead code: exports nothing imports, functions nothing calls, files no entry point reaches and
+// dependencies no file uses. Exports and functions of unreachable files are left out, as the
+// whole file is reported.
+export class DeadCodeAnalysis {
+  static async analyze(project: ProjectData, graph: DependencyGraph, entryGlobs: string[] = []): Promise<DeadCodeReport> {
+    const packages = project.workspace?.packages || [];
+    const fileNodes = new Map(graph.nodes.filter(node => node.type === 'file').map(node => [node.filename!, node]));
+    const entryPoints = await findEntryPoints(graph, fileNodes, packages, entryGlobs);
+    const entries = new Set(entryPoints.map(entry => entry.filename));
+    const reachable = reachableFrom(graph, entries);
+
+    // What entry points expose is public, even when this project never imports it
+    const published = new Set<string>();
+    for (const filename of entries) fileNodes.get(filename)?.reexports?.forEach(key => published.add(key));
+    const isUsed = (file: GraphNode, name: string) => {
+      const entry = file.exports?.find(item => item.name === name);
+      return !entry || entry.importers > 0 || entries.has(file.filename!) || published.has(`${file.id}#${name}`);
+    };
+
+    const unusedExports: UnusedExport[] = [];
+    const unreachableFiles: UnreachableFile[] = [];
+    for (const file of fileNodes.values()) {
+      if (!isSource(file.filename!)) continue;
+      if (!reachable.has(file.filename!)) {
+        unreachableFiles.push({ filename: file.filename!, relativePath: file.relativePath!, package: file.package || null });
+        continue;
+      }
+      for (const entry of file.exports || []) {
+        if (isUsed(file, entry.name)) continue;
+        unusedExports.push({ name: entry.name, filename: file.filename!, relativePath: file.relativePath!, line: entry.line, package: file.package || null });
+      }
+    }
+
+    const called = new Set(graph.edges.filter(edge => edge.type === 'calls').map(edge => edge.target));
+    const uncalledFunctions: UncalledFunction[] = [];
+    for (const node of graph.nodes) {
+      if (node.type !== 'function' || node.isMethod || node.functionName === 'anonymous' || called.has(node.id)) continue;
+      // Passed as a callback, assigned or exported by name somewhere in its file
+      if (node.localReferences || !reachable.has(node.filename!)) continue;
+      const file = fileNodes.get(node.filename!);
+      if (node.exportName && file && isUsed(file, node.exportName)) continue;
+      uncalledFunctions.push({
+        id: node.id,
+        name: node.functionName!,
+        filename: node.filename!,
+        relativePath: node.relativePath!,
+        line: node.line!,
+        package: node.package || null,
+      });
+    }
+
+    const byPath = (a: { relativePath: string; line?: number }, b: { relativePath: string; line?: number }) =>
+      a.relativePath.localeCompare(b.relativePath) || (a.line || 0) - (b.line || 0);
+    return {
+      projectId: graph.projectId,
+      createdAt: new Date().toISOString(),
+      entryPoints: entryPoints.sort(byPath),
+      unusedExports: unusedExports.sort(byPath),
+      uncalledFunctions: uncalledFunctions.sort(byPath),
+      unreachableFiles: unreachableFiles.sort(byPath),
+      unusedDependencies: await findUnusedDependencies(project, graph.root, packages),
+    };
+  }
+}
+
+function isSource(filename: string): boolean {
+  return !filename.endsWith('.d.ts') && !filename.endsWith('.json');
+}
+
+async function findEntryPoints(
+  graph: DependencyGraph,
+  fileNodes: Map<string, GraphNode>,
+  packages: WorkspacePackage[],
+  entryGlobs: string[],
+): Promise<EntryPoint[]> {
+  const found = new Map<string, EntryReason>();
+  const add = (filename: string | null, reason: EntryReason) => {
+    if (filename && fileNodes.has(filename) && !found.has(filename)) found.set(filename, reason);
+  };
+
+  for (const pkg of packages) {
+    Object.values(pkg.entryPoints).forEach(file => add(file, 'package'));
+    const manifest = await readManifest(pkg);
+    const bins = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {});
+    for (const bin of bins) add(await findSourceFile(pkg.path, bin), 'bin');
+    // `node server.js`, `tsx src/index.ts`, ...
+    for (const script of Object.values(manifest.scripts || {})) {
+      for (const word of script.split(/[\s;&|=]+/)) {
+        if (SCRIPT_FILE.test(word)) add(await findSourceFile(pkg.path, word), 'script');
+      }
+    }
+    // Vite and similar bundlers start from the scripts of index.html
+    const html = await FileUtils.readFile(path.join(pkg.path, 'index.html')).catch(() => '');
+    for (const [, src] of html.matchAll(HTML_SCRIPT)) {
+      if (!/^[a-z]+:|^\/\//i.test(src)) add(await findSourceFile(pkg.path, src.replace(/^\//, '')), 'html');
+    }
+  }
+
+  for (const [filename, node] of fileNodes) {
+    const relativePath = node.relativePath || '';
+    if (entryGlobs.some(glob => FileUtils.matchesGlob(relativePath, glob))) add(filename, 'configured');
+    else if (CONVENTIONAL_ENTRIES.some(glob => FileUtils.matchesGlob(relativePath, glob))) add(filename, 'convention');
+  }
+
+  // With nothing saying where the code starts (e.g. an upload without a package.json), every file
+  // no other file imports is taken as a starting point, rather than reporting nearly all as unreachable
+  if (!Array.from(found.values()).some(reason => reason !== 'convention')) {
+    const imported = new Set(graph.edges.filter(edge => edge.type === 'imports').map(edge => edge.target));
+    for (const [filename, node] of fileNodes) {
+      if (isSource(filename) && !imported.has(node.id)) add(filename, 'unimported');
+    }
+  }
+
+  return Array.from(found, ([filename, reason]) => ({
+    filename,
+    relativePath: FileUtils.toPosixPath(path.relative(graph.root, filename)),
+    reason,
+  }));
+}
+
+// Every project file an entry point loads, directly or indirectly, following the graph's import
+// edges (which also resolve imports of other workspace packages)
+function reachableFrom(graph: DependencyGraph, entries: Set<string>): Set<string> {
+  const imported = new Map<string, string[]>();
+  for (const edge of graph.edges) {
+    if (edge.type !== 'imports' || !edge.target.startsWith('file:')) continue;
+    if (!imported.has(edge.source)) imported.set(edge.source, []);
+    imported.get(edge.source)!.push(edge.target);
+  }
+
+  const reached = new Set(Array.from(entries, filename => `file:${filename}`));
+  const queue = Array.from(reached);
+  while (queue.length > 0) {
+    for (const target of imported.get(queue.shift()!) || []) {
+      if (reached.has(target)) continue;
+      reached.add(target);
+      queue.push(target);
+    }
+  }
+  return new Set(Array.from(reached, id => id.slice('file:'.length)));
+}
+
+// Declared dependencies that no file of their package imports and no script or tool config mentions.
+// Type packages (@types/*) are never reported, as the compiler picks them up on its own.
+async function findUnusedDependencies(project: ProjectData, root: string, packages: WorkspacePackage[]): Promise<UnusedDependency[]> {
+  const unused: UnusedDependency[] = [];
+  for (const pkg of packages) {
+    const files = project.parsedFiles.filter(file => packages.length === 1 || file.package === pkg.name);
+    const used = new Set<string>();
+    for (const file of files) {
+      for (const imp of file.imports) {
+        if (!/^[./]/.test(imp.specifier) && !imp.specifier.startsWith('node:')) used.add(packageNameOf(imp.specifier));
+      }
+    }
+    if (files.some(file => JSX_FILE.test(file.path))) used.add('react');
+
+    const text = [JSON.stringify((await readManifest(pkg)).scripts || {}), ...await readConfigs(pkg.path)].join('\n');
+    const declared = [
+      ...Object.entries(pkg.dependencies).map(([name, version]) => ({ name, version, dev: false })),
+      ...Object.entries(pkg.devDependencies).map(([name, version]) => ({ name, version, dev: true })),
+    ];
+    for (const { name, version, dev } of declared) {
+      if (name.startsWith('@types/') || used.has(name) || mentions(text, name)) continue;
+      unused.push({ name, version, package: pkg.name, manifest: FileUtils.toPosixPath(path.relative(root, pkg.manifest)), dev });
+    }
+  }
+  return unused.sort((a, b) => a.package.localeCompare(b.package) || Number(a.dev) - Number(b.dev) || a.name.localeCompare(b.name));
+}
+
+// Whether `text` names the package on its own or with a subpath: 'react' in "react" or "react/jsx-runtime",
+// but not in "react-scripts" or "@testing-library/react"
+function mentions(text: string, name: string): boolean {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w@/.-])${escaped}(?![\\w.-])`).test(text);
+}
+
+async function readManifest(pkg: WorkspacePackage): Promise<Manifest> {
+  if (path.basename(pkg.manifest) !== 'package.json') return {};
+  try {
+    return JSON.parse(await FileUtils.readFile(pkg.manifest));
+  } catch {
+    return {};
+  }
+}
+
+// Tool settings next to a package.json (.eslintrc, babel.config.json, .prettierrc, ...)
+async function readConfigs(dir: string): Promise<string[]> {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const configs = entries.filter(entry => entry.isFile() && CONFIG_FILE.test(entry.name));
+  return Promise.all(configs.map(entry => FileUtils.readFile(path.join(dir, entry.name)).catch(() => '')));
+}
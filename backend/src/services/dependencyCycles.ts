@@ -0,0 +1,177 @@
+import { DependencyGraph, GraphEdge, nodeName } from './dependencyGraph.js';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export type CycleKind = 'imports' | 'calls';
+
+export interface CycleMember {
+  id: string;
+  name: string;                // `Class.method` for methods, the relative path for files
+  filename: string | null;
+  relativePath: string | null;
+  line: number | null;
+}
+
+// One edge inside a cycle, with the statement that creates it
+export interface CycleEdge {
+  source: string;
+  target: string;
+  filename: string | null;     // the importing or calling file
+  relativePath: string | null;
+  line: number | null;
+  text: string | null;         // the source line, trimmed
+  specifier?: string;          // imports: the module specifier as written
+}
+
+export interface DependencyCycle {
+  kind: CycleKind;
+  members: CycleMember[];      // every node of the strongly connected component
+  files: string[];             // relative paths of the files involved
+  edges: CycleEdge[];          // every edge between members
+  path: string[];              // node ids of one shortest loop, first id repeated at the end
+}
+
+export interface CycleReport {
+  imports: DependencyCycle[];
+  calls: DependencyCycle[];
+}
+
+// Circular imports and mutually recursive calls: the strongly connected components of the
+// import graph and of the call graph that have more than one member
+export class DependencyCycles {
+  static async find(graph: DependencyGraph): Promise<CycleReport> {
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const lines = new Map<string, Promise<string[] | null>>();
+    const sourceLine = async (filename: string | undefined, line: number | undefined) => {
+      if (!filename || !line) return null;
+      if (!lines.has(filename)) lines.set(filename, FileUtils.readFile(filename).then(text => text.split(/\r?\n/), () => null));
+      return (await lines.get(filename))?.[line - 1]?.trim() || null;
+    };
+
+    const report: CycleReport = { imports: [], calls: [] };
+    for (const kind of ['imports', 'calls'] as const) {
+      // Imports of third-party packages cannot be part of a cycle
+      const edges = graph.edges.filter(edge => edge.type === kind && !edge.target.startsWith('ext:'));
+      for (const component of stronglyConnected(edges)) {
+        const members = new Set(component);
+        const inside = edges.filter(edge => members.has(edge.source) && members.has(edge.target));
+        const nodes = component.map(id => byId.get(id)!).filter(Boolean).sort((a, b) => nodeName(a).localeCompare(nodeName(b)));
+
+        report[kind].push({
+          kind,
+          members: nodes.map(node => ({
+            id: node.id,
+            name: nodeName(node),
+            filename: node.filename || null,
+            relativePath: node.relativePath || null,
+            line: node.line || null,
+          })),
+          files: Array.from(new Set(nodes.map(node => node.relativePath).filter((file): file is string => !!file))).sort(),
+          edges: await Promise.all(inside.map(async edge => {
+            const source = byId.get(edge.source);
+            return {
+              source: edge.source,
+              target: edge.target,
+              filename: source?.filename || null,
+              relativePath: source?.relativePath || null,
+              line: edge.line || null,
+              text: await sourceLine(source?.filename, edge.line),
+              ...(edge.specifier ? { specifier: edge.specifier } : {}),
+            };
+          })),
+          path: shortestLoop(inside, nodes[0].id),
+        });
+      }
+      report[kind].sort((a, b) => b.members.length - a.members.length || a.members[0].name.localeCompare(b.members[0].name));
+    }
+    return report;
+  }
+}
+
+function successorsOf(edges: GraphEdge[]): Map<string, string[]> {
+  const successors = new Map<string, string[]>();
+  for (const edge of edges) {
+    if (!successors.has(edge.source)) successors.set(edge.source, []);
+    successors.get(edge.source)!.push(edge.target);
+  }
+  return successors;
+}
+
+// Tarjan's algorithm with an explicit stack, as import chains in large projects are deep enough
+// to overflow recursion. Only components with a cycle (two or more nodes) are returned.
+function stronglyConnected(edges: GraphEdge[]): string[][] {
+  const successors = successorsOf(edges);
+  const index = new Map<string, number>();
+  const lowlink = new Map<string, number>();
+  const onStack = new Set<string>();
+  const stack: string[] = [];
+  const components: string[][] = [];
+  let counter = 0;
+
+  const roots = new Set(edges.flatMap(edge => [edge.source, edge.target]));
+  for (const root of roots) {
+    if (index.has(root)) continue;
+    // Each frame is a node and how many of its successors have been visited
+    const frames: { id: string; next: number }[] = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    lowlink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const targets = successors.get(frame.id) || [];
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowlink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          frames.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowlink.set(frame.id, Math.min(lowlink.get(frame.id)!, index.get(target)!));
+        }
+        continue;
+      }
+
+      frames.pop();
+      const parent = frames[frames.length - 1];
+      if (parent) lowlink.set(parent.id, Math.min(lowlink.get(parent.id)!, lowlink.get(frame.id)!));
+      if (lowlink.get(frame.id) !== index.get(frame.id)) continue;
+
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop()!;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== frame.id);
+      if (component.length > 1) components.push(component);
+    }
+  }
+  return components;
+}
+
+// The shortest way from `start` back to itself, breadth-first over `edges`
+function shortestLoop(edges: GraphEdge[], start: string): string[] {
+  const successors = successorsOf(edges);
+  const previous = new Map<string, string>();
+  let frontier = [start];
+  while (frontier.length > 0) {
+    const next: string[] = [];
+    for (const id of frontier) {
+      for (const target of successors.get(id) || []) {
+        if (target === start) {
+          const loop = [start];
+          for (let at = id; at !== start; at = previous.get(at)!) loop.splice(1, 0, at);
+          return [...loop, start];
+        }
+        if (previous.has(target)) continue;
+        previous.set(target, id);
+        next.push(target);
+      }
+    }
+    frontier = next;
+  }
+  return [];
+}
@@ -0,0 +1,771 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Node, Project, SourceFile, SyntaxKind, ts } from 'ts-morph';
+import { CodeParser, ParsedFile, ProjectData } from './codeParser.js';
+import { ProjectStore } from './projectStore.js';
+import type { WorkspacePackage } from './workspaceDetector.js';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export type GraphNodeType = 'file' | 'function' | 'external';
+export type GraphEdgeType = 'imports' | 'calls' | 'contains';
+export type ImportKind = 'import' | 'reexport' | 'require' | 'dynamic';
+
+// Node and edge fields are what the frontend's graphBuilder.js helpers (graphFromJson, graphToReactFlow) expect
+export interface GraphNode {
+  id: string;
+  type: GraphNodeType;
+  label: string;
+  filename?: string;      // file and function nodes: absolute path
+  relativePath?: string;  // file and function nodes: from the project root
+  package?: string;       // workspace package of the file
+  functions?: number;     // file nodes
+  imports?: number;
+  size?: number;
+  exports?: GraphExport[];
+  reexports?: string[];   // `${fileId}#${name}` of other files' exports it exports as well
+  functionName?: string;  // function nodes
+  className?: string | null;
+  line?: number;
+  endLine?: number;
+  isMethod?: boolean;       // class and object literal members
+  exportName?: string;      // name it is exported under by its own declaration ('default' for default exports)
+  localReferences?: number; // uses of its name in its file besides declarations
+  parentFile?: string;
+  packageName?: string;   // external nodes
+  importers?: number;
+}
+
+// Something a file exports itself (re-exports belong to the file declaring them)
+export interface GraphExport {
+  name: string;       // 'default' for the default export
+  line: number;
+  importers: number;  // project files importing it, directly or through re-exports
+}
+
+export interface GraphEdge {
+  source: string;
+  target: string;
+  type: GraphEdgeType;
+  label: string;
+  line?: number;          // calls: line of the call site; imports: line of the import
+  specifier?: string;     // imports: the module specifier as written
+  importType?: ImportKind;
+}
+
+export interface GraphStats {
+  totalNodes: number;
+  totalEdges: number;
+  fileNodes: number;
+  functionNodes: number;
+  externalNodes: number;
+  importEdges: number;
+  callEdges: number;
+  containsEdges: number;
+}
+
+export interface GraphQuery {
+  nodeTypes: GraphNodeType[]; // empty = all
+  edgeTypes: GraphEdgeType[]; // empty = all
+  fileGlobs: string[];        // project-relative globs a file must match
+  packages: string[];         // workspace packages a file must belong to
+  search: string;             // case-insensitive substring of a node's label, or a pattern with * and ?
+  collapse: boolean;          // fold function nodes into their files (calls become file-to-file edges)
+  focus: string;              // node id: keep only what lies within `depth` hops up- or downstream of it
+  depth: number;              // Infinity for everything reachable
+  limit: number;
+}
+
+export interface GraphQueryResult {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  stats: GraphStats;
+  truncated: boolean;    // more nodes matched than `limit`
+  focus: string | null;  // the focused node (a function's file when collapsed), if it is in the graph
+}
+
+interface PersistedGraph {
+  version: number;
+  projectId: string;
+  root: string;
+  createdAt: string;
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+}
+
+// `local` is the name a binding has in the importing file; `imported` is 'default', '*' or an export name
+interface Binding {
+  local: string;
+  imported: string;
+}
+
+interface ModuleImport {
+  type: ImportKind;
+  specifier: string;
+  bindings: Binding[];
+  line: number;
+}
+
+interface FunctionRecord {
+  id: string;
+  filename: string;
+  name: string;
+  line: number;
+  endLine: number;
+  start: number;
+  end: number;
+  className: string | null;
+  isMethod: boolean; // class and object literal members, which are not bound by name in their scope
+  exported: boolean;
+  isDefault: boolean;
+  parent: FunctionRecord | null;
+}
+
+interface CallSite {
+  name: string;
+  object: string | null; // `this`, an identifier (`ns.fn()`), or null for a bare or complex call
+  line: number;
+  pos: number;
+}
+
+type ImportTarget = { file: string } | { external: string } | null;
+
+const GRAPH_FILE = 'graph.json';
+// Bumped when nodes or edges gain fields; older graph.json files are rebuilt
+const GRAPH_VERSION = 2;
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json'];
+
+// File/function/call graph of a project, built once from its sources and cached next to
+// parsed.json so the graph view only has to render it
+export class DependencyGraph {
+  private static cache = new Map<string, Promise<DependencyGraph | null>>();
+  private collapsedGraph?: { nodes: GraphNode[]; edges: GraphEdge[] };
+
+  constructor(
+    readonly projectId: string,
+    readonly root: string,
+    readonly nodes: GraphNode[],
+    readonly edges: GraphEdge[],
+  ) {}
+
+  // `project` is the compiler project from CodeParser.loadProject that `data` was parsed with
+  static async build(data: ProjectData, project: Project): Promise<DependencyGraph> {
+    const root = await FileUtils.resolveProjectRoot(data.rootPath);
+    const sources = data.parsedFiles
+      .map(file => ({ file, src: project.getSourceFile(file.path) }))
+      .filter((entry): entry is { file: ParsedFile; src: SourceFile } => !!entry.src);
+
+    const { nodes, edges } = buildGraph(sources, root, data.workspace?.packages || []);
+    const graph = new DependencyGraph(data.projectId, root, nodes, edges);
+    await graph.save();
+    DependencyGraph.cache.set(data.projectId, Promise.resolve(graph));
+    return graph;
+  }
+
+  // A project's graph from memory or graph.json; projects uploaded before graphs existed get one built now
+  static forProject(projectId: string): Promise<DependencyGraph | null> {
+    if (!ProjectStore.isValidId(projectId)) return Promise.resolve(null);
+    const cached = DependencyGraph.cache.get(projectId);
+    if (cached) return cached;
+
+    const loading = DependencyGraph.load(projectId);
+    DependencyGraph.cache.set(projectId, loading);
+    const forget = () => DependencyGraph.cache.delete(projectId);
+    loading.then(graph => graph || forget(), forget);
+    return loading;
+  }
+
+  static evict(projectId: string) {
+    DependencyGraph.cache.delete(projectId);
+  }
+
+  // Forget a project's graph in memory and on disk, so the next request builds it from the current sources
+  static async discard(projectId: string): Promise<void> {
+    DependencyGraph.evict(projectId);
+    await fs.rm(ProjectStore.filePath(projectId, GRAPH_FILE), { force: true });
+  }
+
+  private static async load(projectId: string): Promise<DependencyGraph | null> {
+    try {
+      const data: PersistedGraph = JSON.parse(await FileUtils.readFile(ProjectStore.filePath(projectId, GRAPH_FILE)));
+      if (data.version === GRAPH_VERSION) return new DependencyGraph(data.projectId, data.root, data.nodes, data.edges);
+    } catch {}
+
+    const project = await ProjectStore.get(projectId);
+    if (!project) return null;
+    const graph = await DependencyGraph.build(project, await CodeParser.loadProject(project.rootPath));
+    console.log(`🕸️ Built missing or outdated dependency graph for ${projectId}`);
+    return graph;
+  }
+
+  async save(): Promise<void> {
+    const data: PersistedGraph = {
+      version: GRAPH_VERSION,
+      projectId: this.projectId,
+      root: this.root,
+      createdAt: new Date().toISOString(),
+      nodes: this.nodes,
+      edges: this.edges,
+    };
+    await fs.writeFile(ProjectStore.filePath(this.projectId, GRAPH_FILE), JSON.stringify(data));
+  }
+
+  // The part of the graph matching `query`. External packages have no path, so path, package and
+  // name filters keep one only when a kept file imports it. Edges need both ends kept.
+  query(query: Partial<GraphQuery> = {}): GraphQueryResult {
+    const { nodeTypes = [], edgeTypes = [], fileGlobs = [], packages = [], search = '', collapse = false, depth = Infinity, limit = Infinity } = query;
+    const base = collapse ? this.collapsed() : { nodes: this.nodes, edges: this.edges };
+    const edgeAllowed = (edge: GraphEdge) => edgeTypes.length === 0 || edgeTypes.includes(edge.type);
+    const namePattern = /[*?]/.test(search) ? new RegExp(FileUtils.globToRegExp(search).source, 'i') : null;
+    const nameMatches = (node: GraphNode) =>
+      namePattern ? namePattern.test(node.label) : node.label.toLowerCase().includes(search.toLowerCase());
+    const narrowed = fileGlobs.length > 0 || packages.length > 0 || search !== '';
+
+    const matches = (node: GraphNode) => {
+      if (nodeTypes.length > 0 && !nodeTypes.includes(node.type)) return false;
+      if (node.type === 'external') return !narrowed || (search !== '' && nameMatches(node));
+      if (fileGlobs.length > 0 && !fileGlobs.some(glob => FileUtils.matchesGlob(node.relativePath || '', glob))) return false;
+      if (packages.length > 0 && !(node.package && packages.includes(node.package))) return false;
+      return search === '' || nameMatches(node);
+    };
+
+    let kept = new Set(base.nodes.filter(matches).map(node => node.id));
+    if (narrowed && (nodeTypes.length === 0 || nodeTypes.includes('external'))) {
+      for (const edge of base.edges) {
+        if (edge.type === 'imports' && kept.has(edge.source) && edge.target.startsWith('ext:')) kept.add(edge.target);
+      }
+    }
+
+    // A collapsed function is focused through its file
+    const focusNode = query.focus ? this.nodes.find(node => node.id === query.focus) : undefined;
+    const focus = focusNode && collapse && focusNode.type === 'function' ? focusNode.parentFile! : focusNode?.id;
+    if (focus) {
+      kept.add(focus);
+      const reachable = base.edges.filter(edge => kept.has(edge.source) && kept.has(edge.target) && edgeAllowed(edge));
+      kept = neighbourhood(reachable, focus, depth);
+    }
+
+    let nodes = base.nodes.filter(node => kept.has(node.id));
+    const truncated = nodes.length > limit;
+    if (truncated) nodes = nodes.slice(0, limit);
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = base.edges.filter(edge => ids.has(edge.source) && ids.has(edge.target) && edgeAllowed(edge));
+
+    return { nodes, edges, stats: graphStats(nodes, edges), truncated, focus: focus && ids.has(focus) ? focus : null };
+  }
+
+  // File-level view: function nodes fold into their file, and each call between two files
+  // becomes one 'calls' edge unless the files already have an 'imports' edge
+  private collapsed(): { nodes: GraphNode[]; edges: GraphEdge[] } {
+    if (this.collapsedGraph) return this.collapsedGraph;
+
+    const fileOf = new Map<string, string>();
+    for (const node of this.nodes) {
+      if (node.type === 'function' && node.parentFile) fileOf.set(node.id, node.parentFile);
+    }
+    const edges = new Map<string, GraphEdge>();
+    for (const edge of this.edges) {
+      if (edge.type === 'contains') continue;
+      const source = fileOf.get(edge.source) || edge.source;
+      const target = fileOf.get(edge.target) || edge.target;
+      const key = `${source}\0${target}`;
+      if (source === target || (edges.has(key) && edge.type !== 'imports')) continue;
+      edges.set(key, { ...edge, source, target });
+    }
+
+    this.collapsedGraph = { nodes: this.nodes.filter(node => node.type !== 'function'), edges: Array.from(edges.values()) };
+    return this.collapsedGraph;
+  }
+}
+
+// Nodes within `depth` hops of `start`, following edges downstream and upstream separately
+// (so a function's neighbourhood does not spread to every sibling through their shared file)
+function neighbourhood(edges: GraphEdge[], start: string, depth: number): Set<string> {
+  const successors = new Map<string, string[]>();
+  const predecessors = new Map<string, string[]>();
+  for (const edge of edges) {
+    if (!successors.has(edge.source)) successors.set(edge.source, []);
+    if (!predecessors.has(edge.target)) predecessors.set(edge.target, []);
+    successors.get(edge.source)!.push(edge.target);
+    predecessors.get(edge.target)!.push(edge.source);
+  }
+
+  const found = new Set([start]);
+  for (const next of [successors, predecessors]) {
+    const visited = new Set([start]);
+    let frontier = [start];
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      frontier = frontier.flatMap(id => next.get(id) || []).filter(id => !visited.has(id));
+      frontier.forEach(id => {
+        visited.add(id);
+        found.add(id);
+      });
+    }
+  }
+  return found;
+}
+
+// How reports name a node: `Class.method` for methods, the relative path for files
+export function nodeName(node: GraphNode): string {
+  if (node.type === 'file') return node.relativePath || node.label;
+  if (node.type === 'function' && node.className) return `${node.className}.${node.label}`;
+  return node.label;
+}
+
+export function graphStats(nodes: GraphNode[], edges: GraphEdge[]): GraphStats {
+  const countNodes = (type: GraphNodeType) => nodes.filter(node => node.type === type).length;
+  const countEdges = (type: GraphEdgeType) => edges.filter(edge => edge.type === type).length;
+  return {
+    totalNodes: nodes.length,
+    totalEdges: edges.length,
+    fileNodes: countNodes('file'),
+    functionNodes: countNodes('function'),
+    externalNodes: countNodes('external'),
+    importEdges: countEdges('imports'),
+    callEdges: countEdges('calls'),
+    containsEdges: countEdges('contains'),
+  };
+}
+
+function buildGraph(sources: { file: ParsedFile; src: SourceFile }[], root: string, packages: WorkspacePackage[]) {
+  const nodes = new Map<string, GraphNode>();
+  const edges = new Map<string, GraphEdge>();
+  // Like graphlib, one edge per ordered pair; a later edge replaces an earlier one
+  const setEdge = (edge: GraphEdge) => edges.set(`${edge.source}\0${edge.target}`, edge);
+
+  const functionsByFile = new Map<string, FunctionRecord[]>();
+  const importsByFile = new Map<string, { imp: ModuleImport; file: string }[]>();
+  const resolveImport = createImportResolver(sources.map(({ file }) => file), packages);
+
+  // First pass: file nodes and the function nodes they contain
+  for (const { file, src } of sources) {
+    const fileId = `file:${file.path}`;
+    const relativePath = FileUtils.toPosixPath(path.relative(root, file.path));
+    const records = collectFunctions(src, file.path);
+    const imports = collectImports(src);
+    const identifiers = identifierCounts(src);
+    functionsByFile.set(file.path, records);
+
+    nodes.set(fileId, {
+      id: fileId,
+      type: 'file',
+      label: path.basename(file.path),
+      filename: file.path,
+      relativePath,
+      package: file.package,
+      functions: records.length,
+      imports: imports.length,
+      size: records.length + imports.length,
+    });
+
+    for (const record of records) {
+      nodes.set(record.id, {
+        id: record.id,
+        type: 'function',
+        label: record.name,
+        filename: file.path,
+        relativePath,
+        package: file.package,
+        functionName: record.name,
+        className: record.className,
+        line: record.line,
+        endLine: record.endLine,
+        isMethod: record.isMethod,
+        ...(record.exported ? { exportName: record.isDefault ? 'default' : record.name } : {}),
+        localReferences: Math.max(0, (identifiers.get(record.name) || 0) - records.filter(other => other.name === record.name).length),
+        parentFile: fileId,
+      });
+      setEdge({ source: fileId, target: record.id, type: 'contains', label: 'contains' });
+    }
+
+    // Second pass input: imports resolved to project files or packages
+    const projectImports: { imp: ModuleImport; file: string }[] = [];
+    importsByFile.set(file.path, projectImports);
+    for (const imp of imports) {
+      const target = resolveImport(imp.specifier, file.path);
+      if (!target) continue;
+
+      let targetId: string;
+      if ('external' in target) {
+        // One node per third-party package, shared by every file importing it
+        targetId = `ext:${target.external}`;
+        const external = nodes.get(targetId) || { id: targetId, type: 'external', label: target.external, packageName: target.external, importers: 0 };
+        if (!edges.has(`${fileId}\0${targetId}`)) external.importers = (external.importers || 0) + 1;
+        nodes.set(targetId, external);
+      } else {
+        targetId = `file:${target.file}`;
+        projectImports.push({ imp, file: target.file });
+      }
+      if (targetId !== fileId) {
+        setEdge({ source: fileId, target: targetId, type: 'imports', label: 'imports', specifier: imp.specifier, importType: imp.type, line: imp.line });
+      }
+    }
+  }
+
+  // Third pass: call edges, each callee resolved through the caller's scopes, class and imports
+  const resolveCall = createCallResolver(functionsByFile, importsByFile);
+  for (const { file, src } of sources) {
+    const records = functionsByFile.get(file.path) || [];
+    for (const call of collectCalls(src)) {
+      const caller = innermostFunction(records, call.pos);
+      const target = resolveCall(file.path, caller, call);
+      if (!target) continue;
+
+      // Top-level code calls from the file itself; a same-file edge would replace its 'contains' edge
+      const callerId = caller ? caller.id : `file:${file.path}`;
+      if (callerId === target.id || (!caller && target.filename === file.path)) continue;
+      setEdge({ source: callerId, target: target.id, type: 'calls', label: 'calls', line: call.line });
+    }
+  }
+
+  for (const [filename, { exports, reexports }] of collectExports(sources, importsByFile)) {
+    const node = nodes.get(`file:${filename}`)!;
+    node.exports = exports;
+    if (reexports.length > 0) node.reexports = reexports;
+  }
+
+  return { nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) };
+}
+
+// Each file's own exports with how many project files import them (through any chain of
+// re-exports), and the other files' exports it re-exports
+function collectExports(
+  sources: { file: ParsedFile; src: SourceFile }[],
+  importsByFile: Map<string, { imp: ModuleImport; file: string }[]>,
+): Map<string, { exports: GraphExport[]; reexports: string[] }> {
+  const exported = new Map<string, ReadonlyMap<string, Node[]>>();
+  // Declaration -> the export it is, keyed `${fileId}#${name}`
+  const keyOf = new Map<Node, string>();
+  const result = new Map<string, { exports: GraphExport[]; reexports: string[] }>();
+
+  for (const { file, src } of sources) {
+    const declarations = src.getExportedDeclarations();
+    exported.set(file.path, declarations);
+    const own: GraphExport[] = [];
+    for (const [name, nodes] of declarations) {
+      const mine = nodes.filter(node => node.getSourceFile() === src);
+      mine.forEach(node => keyOf.set(node, `file:${file.path}#${name}`));
+      if (mine.length > 0) own.push({ name, line: mine[0].getStartLineNumber(), importers: 0 });
+    }
+    result.set(file.path, { exports: own, reexports: [] });
+  }
+
+  for (const { file } of sources) {
+    const reexports = new Set<string>();
+    for (const nodes of exported.get(file.path)!.values()) {
+      for (const node of nodes) {
+        const key = keyOf.get(node);
+        if (key && !key.startsWith(`file:${file.path}#`)) reexports.add(key);
+      }
+    }
+    result.get(file.path)!.reexports = Array.from(reexports);
+  }
+
+  // A re-export only passes names on; whoever imports them from the barrel is the user
+  const importers = new Map<string, Set<string>>();
+  for (const [importer, imports] of importsByFile) {
+    for (const { imp, file } of imports) {
+      const declarations = exported.get(file);
+      if (!declarations || imp.type === 'reexport') continue;
+      const everything = imp.type === 'dynamic' || imp.bindings.some(binding => binding.imported === '*');
+      const names = everything ? Array.from(declarations.keys()) : imp.bindings.map(binding => binding.imported);
+      for (const name of names) {
+        for (const node of declarations.get(name) || []) {
+          const key = keyOf.get(node);
+          if (key) importers.set(key, (importers.get(key) || new Set()).add(importer));
+        }
+      }
+    }
+  }
+
+  for (const [filename, { exports }] of result) {
+    for (const entry of exports) entry.importers = importers.get(`file:${filename}#${entry.name}`)?.size || 0;
+  }
+  return result;
+}
+
+// How often each identifier occurs in a file; walks the compiler AST, as wrapping every node would be slow
+function identifierCounts(src: SourceFile): Map<string, number> {
+  const counts = new Map<string, number>();
+  const visit = (node: ts.Node) => {
+    if (ts.isIdentifier(node)) counts.set(node.text, (counts.get(node.text) || 0) + 1);
+    ts.forEachChild(node, visit);
+  };
+  visit(src.compilerNode);
+  return counts;
+}
+
+// Functions, methods, accessors and constructors with their ranges and enclosing function
+function collectFunctions(src: SourceFile, filename: string): FunctionRecord[] {
+  const records: FunctionRecord[] = [];
+  src.forEachDescendant(node => {
+    const info = describeFunction(node);
+    if (!info) return;
+    const { line, column } = src.getLineAndColumnAtPos(node.getStart());
+    records.push({
+      ...info,
+      id: `func:${filename}:${info.name}:${line}:${column}`,
+      filename,
+      line,
+      endLine: src.getLineAndColumnAtPos(node.getEnd()).line,
+      start: node.getStart(),
+      end: node.getEnd(),
+      parent: null,
+    });
+  });
+  // Descendants come in source order, so the innermost enclosing function is the last one that contains the start
+  for (const record of records) record.parent = innermostFunction(records, record.start, record);
+  return records;
+}
+
+function describeFunction(node: Node): Pick<FunctionRecord, 'name' | 'className' | 'isMethod' | 'exported' | 'isDefault'> | null {
+  const member = (name: string) => {
+    const owner = node.getParent();
+    const className = Node.isClassDeclaration(owner) || Node.isClassExpression(owner) ? owner.getName() || null : null;
+    return { name, className, isMethod: true, exported: false, isDefault: false };
+  };
+
+  if (Node.isFunctionDeclaration(node)) {
+    return { name: node.getName() || 'anonymous', className: null, isMethod: false, exported: node.isExported(), isDefault: node.isDefaultExport() };
+  }
+  if (Node.isMethodDeclaration(node) || Node.isGetAccessorDeclaration(node) || Node.isSetAccessorDeclaration(node)) {
+    return member(node.getName());
+  }
+  if (Node.isConstructorDeclaration(node)) return member('constructor');
+  if (!Node.isArrowFunction(node) && !Node.isFunctionExpression(node)) return null;
+
+  // Function expressions take the name of the variable or identifier they are assigned to
+  const parent = node.getParent();
+  if (Node.isVariableDeclaration(parent)) {
+    const statement = parent.getVariableStatement();
+    const name = Node.isIdentifier(parent.getNameNode()) ? parent.getName() : 'anonymous';
+    return { name, className: null, isMethod: false, exported: !!statement?.isExported(), isDefault: false };
+  }
+  if (Node.isBinaryExpression(parent) && parent.getOperatorToken().getKind() === SyntaxKind.EqualsToken && Node.isIdentifier(parent.getLeft())) {
+    return { name: parent.getLeft().getText(), className: null, isMethod: false, exported: false, isDefault: false };
+  }
+  if (Node.isExportAssignment(parent) && !parent.isExportEquals()) {
+    return { name: 'anonymous', className: null, isMethod: false, exported: true, isDefault: true };
+  }
+  return { name: 'anonymous', className: null, isMethod: false, exported: false, isDefault: false };
+}
+
+function collectCalls(src: SourceFile): CallSite[] {
+  const calls: CallSite[] = [];
+  for (const call of src.getDescendantsOfKind(SyntaxKind.CallExpression)) {
+    const callee = call.getExpression();
+    let name = '';
+    let object: string | null = null;
+    if (Node.isIdentifier(callee)) {
+      name = callee.getText();
+    } else if (Node.isPropertyAccessExpression(callee)) {
+      name = callee.getName();
+      const receiver = callee.getExpression();
+      if (Node.isIdentifier(receiver) || receiver.getKind() === SyntaxKind.ThisKeyword) object = receiver.getText();
+    }
+    if (!name || name === 'require') continue;
+    calls.push({ name, object, line: call.getStartLineNumber(), pos: call.getStart() });
+  }
+  return calls;
+}
+
+// import/export-from statements, `require()` and `import()` calls with the names they bind
+function collectImports(src: SourceFile): ModuleImport[] {
+  const imports: ModuleImport[] = [];
+
+  for (const declaration of src.getImportDeclarations()) {
+    const bindings: Binding[] = [];
+    const defaultImport = declaration.getDefaultImport();
+    if (defaultImport) bindings.push({ local: defaultImport.getText(), imported: 'default' });
+    const namespaceImport = declaration.getNamespaceImport();
+    if (namespaceImport) bindings.push({ local: namespaceImport.getText(), imported: '*' });
+    for (const named of declaration.getNamedImports()) {
+      bindings.push({ local: named.getAliasNode()?.getText() || named.getName(), imported: named.getName() });
+    }
+    imports.push({ type: 'import', specifier: declaration.getModuleSpecifierValue(), bindings, line: declaration.getStartLineNumber() });
+  }
+
+  for (const declaration of src.getExportDeclarations()) {
+    const specifier = declaration.getModuleSpecifierValue();
+    if (!specifier) continue;
+    const namespaceExport = declaration.getNamespaceExport();
+    const named = declaration.getNamedExports();
+    const bindings: Binding[] = namespaceExport
+      ? [{ local: namespaceExport.getName(), imported: '*' }]
+      : named.length > 0
+        ? named.map(spec => ({ local: spec.getAliasNode()?.getText() || spec.getName(), imported: spec.getName() }))
+        : [{ local: '*', imported: '*' }];
+    imports.push({ type: 'reexport', specifier, bindings, line: declaration.getStartLineNumber() });
+  }
+
+  for (const call of src.getDescendantsOfKind(SyntaxKind.CallExpression)) {
+    const [argument] = call.getArguments();
+    if (call.getExpression().getText() !== 'require' || !Node.isStringLiteral(argument)) continue;
+    const declaration = call.getParent();
+    const bindings: Binding[] = [];
+    if (Node.isVariableDeclaration(declaration)) {
+      const target = declaration.getNameNode();
+      if (Node.isIdentifier(target)) {
+        bindings.push({ local: target.getText(), imported: '*' });
+      } else if (Node.isObjectBindingPattern(target)) {
+        for (const element of target.getElements()) {
+          bindings.push({ local: element.getName(), imported: element.getPropertyNameNode()?.getText() || element.getName() });
+        }
+      }
+    }
+    imports.push({ type: 'require', specifier: argument.getLiteralValue(), bindings, line: call.getStartLineNumber() });
+  }
+
+  // import('./page'): which exports get used is only known at run time
+  for (const call of src.getDescendantsOfKind(SyntaxKind.CallExpression)) {
+    const [argument] = call.getArguments();
+    if (call.getExpression().getKind() !== SyntaxKind.ImportKeyword || !Node.isStringLiteral(argument)) continue;
+    imports.push({ type: 'dynamic', specifier: argument.getLiteralValue(), bindings: [], line: call.getStartLineNumber() });
+  }
+
+  return imports;
+}
+
+// The deepest function whose range holds `pos` (nested functions start later), or null at module level
+function innermostFunction(records: FunctionRecord[], pos: number, except?: FunctionRecord): FunctionRecord | null {
+  let innermost: FunctionRecord | null = null;
+  for (const record of records) {
+    if (record === except || pos < record.start || pos >= record.end) continue;
+    if (!innermost || record.start > innermost.start) innermost = record;
+  }
+  return innermost;
+}
+
+// Resolve a call to a function record. Unknown receivers (`obj.method()` on a local object)
+// stay unresolved rather than guessed by name.
+function createCallResolver(
+  functionsByFile: Map<string, FunctionRecord[]>,
+  importsByFile: Map<string, { imp: ModuleImport; file: string }[]>,
+) {
+  // The function a file exports as `name` ('default' for its default export), following re-exports
+  const exportedFunction = (filename: string, name: string, seen = new Set<string>()): FunctionRecord | null => {
+    const key = `${filename}\0${name}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+
+    const topLevel = (functionsByFile.get(filename) || []).filter(record => !record.parent && !record.isMethod);
+    const found = name === 'default'
+      ? topLevel.find(record => record.isDefault)
+      // CommonJS exports are not flagged, so any top-level function of that name will do
+      : topLevel.find(record => record.name === name && record.exported) || topLevel.find(record => record.name === name);
+    if (found) return found;
+
+    for (const { imp, file } of importsByFile.get(filename) || []) {
+      if (imp.type !== 'reexport') continue;
+      for (const binding of imp.bindings) {
+        const target = binding.local === '*' && name !== 'default'
+          ? exportedFunction(file, name, seen)
+          : binding.local === name && binding.imported !== '*' ? exportedFunction(file, binding.imported, seen) : null;
+        if (target) return target;
+      }
+    }
+    return null;
+  };
+
+  // The import binding that introduces `local` in a file, with the file it comes from
+  const importedBinding = (filename: string, local: string) => {
+    for (const { imp, file } of importsByFile.get(filename) || []) {
+      if (imp.type === 'reexport') continue;
+      const binding = imp.bindings.find(b => b.local === local);
+      if (binding) return { binding, file };
+    }
+    return null;
+  };
+
+  const classMethod = (filename: string, className: string, name: string) =>
+    (functionsByFile.get(filename) || []).find(record => record.className === className && record.name === name) || null;
+
+  return (filename: string, caller: FunctionRecord | null, call: CallSite): FunctionRecord | null => {
+    if (call.object === 'this') {
+      let scope = caller;
+      while (scope && !scope.className) scope = scope.parent;
+      return scope?.className ? classMethod(filename, scope.className, call.name) : null;
+    }
+
+    if (call.object) {
+      const imported = importedBinding(filename, call.object);
+      if (!imported) return classMethod(filename, call.object, call.name);
+      // `import * as ns` and `const ns = require()` expose the module's exports; otherwise it's a class
+      return imported.binding.imported === '*'
+        ? exportedFunction(imported.file, call.name)
+        : classMethod(imported.file, imported.binding.imported, call.name);
+    }
+
+    // Innermost lexical scope first, then each enclosing function, then the module
+    const records = functionsByFile.get(filename) || [];
+    let scope = caller;
+    while (true) {
+      const local = records.find(record => record.parent === scope && record.name === call.name && !record.isMethod);
+      if (local) return local;
+      if (!scope) break;
+      scope = scope.parent;
+    }
+
+    const imported = importedBinding(filename, call.name);
+    if (!imported) return null;
+    // A called `require()` binding is the module's export itself
+    return exportedFunction(imported.file, imported.binding.imported === '*' ? 'default' : imported.binding.imported);
+  };
+}
+
+// Resolve a module specifier: workspace packages reach their entry files, then the compiler's
+// resolution (tsconfig paths/baseUrl) is used, then relative paths
+function createImportResolver(parsedFiles: ParsedFile[], packages: WorkspacePackage[]) {
+  const files = new Set(parsedFiles.map(file => file.path));
+  const packagesByName = new Map(packages.map(pkg => [pkg.name, pkg]));
+  const compilerResolved = new Map<string, string>();
+  for (const file of parsedFiles) {
+    for (const imp of file.imports) {
+      if (imp.resolvedPath) compilerResolved.set(`${file.path}\0${imp.specifier}`, imp.resolvedPath);
+    }
+  }
+
+  // A path as written, with an extension added, or as a directory with an index file.
+  // "./util.js" in TypeScript ESM code refers to util.ts, so compiled extensions are swapped too.
+  const findFile = (base: string): string | null => {
+    const stripped = base.replace(/\.[cm]?jsx?$/, '');
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+      ...RESOLVE_EXTENSIONS.map(ext => path.join(base, `index${ext}`)),
+      ...(stripped !== base ? RESOLVE_EXTENSIONS.map(ext => stripped + ext) : []),
+    ];
+    return candidates.find(candidate => files.has(candidate)) || null;
+  };
+
+  return (specifier: string, fromFile: string): ImportTarget => {
+    const isBare = !specifier.startsWith('.') && !path.isAbsolute(specifier);
+
+    if (isBare) {
+      const pkg = packagesByName.get(packageNameOf(specifier));
+      if (pkg) {
+        const subpath = `.${specifier.slice(pkg.name.length)}`;
+        const entry = pkg.entryPoints?.[subpath];
+        const file = (entry && files.has(entry) ? entry : null) ||
+          findFile(path.join(pkg.path, subpath)) ||
+          findFile(path.join(pkg.path, 'src', subpath));
+        if (file) return { file };
+      }
+    }
+
+    const compiled = compilerResolved.get(`${fromFile}\0${specifier}`);
+    if (compiled && files.has(compiled)) return { file: compiled };
+
+    if (!isBare) {
+      const file = findFile(path.resolve(path.dirname(fromFile), specifier));
+      return file ? { file } : null;
+    }
+
+    return { external: packageNameOf(specifier) };
+  };
+}
+
+// "@scope/pkg/sub/path" -> "@scope/pkg", "lodash/fp" -> "lodash"
+export function packageNameOf(specifier: string): string {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
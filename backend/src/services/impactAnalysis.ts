@@ -0,0 +1,309 @@
+import { DependencyGraph, GraphEdgeType, GraphNode, GraphNodeType, nodeName } from './dependencyGraph.js';
+
+export interface ImpactedNode {
+  id: string;
+  type: GraphNodeType;
+  name: string;                // `Class.method` for methods, the relative path for files
+  filename: string | null;     // absolute path, for opening it
+  relativePath: string | null;
+  line: number | null;
+  package: string | null;
+  distance: number;            // hops from a change; 0 for the changes themselves
+  // What it depends on that brought it in: it calls, imports or contains `via`
+  via: { id: string; name: string; edge: GraphEdgeType } | null;
+}
+
+export interface ImpactedPackage {
+  name: string;
+  distance: number;
+  files: number;
+}
+
+export interface ImpactReport {
+  projectId: string;
+  createdAt: string;
+  changes: string[];       // as given, plus the files of a patch
+  unresolved: string[];    // changes that matched nothing in the graph
+  functions: ImpactedNode[];
+  files: ImpactedNode[];   // test files are listed under `tests` instead
+  tests: ImpactedNode[];
+  packages: ImpactedPackage[];
+  externals: ImpactedNode[]; // changed third-party packages
+}
+
+// A file touched by a patch; `lines` are new-file line numbers, null when the whole file changed
+export interface PatchedFile {
+  path: string;
+  lines: number[] | null;
+}
+
+export class ImpactAnalysisError extends Error {}
+
+const TEST_FILE = /(?:^|\/)(?:__tests__|tests?|spec|e2e)\/|\.(?:test|spec|e2e)\.[cm]?[jt]sx?$/;
+
+// What a change to some files or functions can break: everything upstream of them in the
+// project graph (callers, importers and the files containing those), ranked by distance
+export class ImpactAnalysis {
+  private readonly byId: Map<string, GraphNode>;
+  // Reverse adjacency: node -> nodes depending on it, and the edge type they depend through
+  private readonly dependents = new Map<string, { id: string; edge: GraphEdgeType }[]>();
+
+  constructor(private graph: DependencyGraph) {
+    this.byId = new Map(graph.nodes.map(node => [node.id, node]));
+    // A caller depends on its callee, an importer on the imported file, and a file on the functions it contains
+    for (const edge of graph.edges) {
+      if (!this.dependents.has(edge.target)) this.dependents.set(edge.target, []);
+      this.dependents.get(edge.target)!.push({ id: edge.source, edge: edge.type });
+    }
+  }
+
+  // `changes` are file paths, `file:function`, `file:line`, function names (`fn`, `Class.method`) or
+  // third-party package names; `patch` is a unified diff whose changed lines are mapped to functions
+  analyze(changes: string[], patch?: string): ImpactReport {
+    const seeds = new Set<string>();
+    const unresolved: string[] = [];
+    const given = changes.map(change => change.trim()).filter(change => change && !change.startsWith('#'));
+
+    for (const change of given) {
+      const ids = this.resolve(change);
+      if (ids.length === 0) unresolved.push(change);
+      ids.forEach(id => seeds.add(id));
+    }
+
+    const patched = patch ? ImpactAnalysis.parsePatch(patch) : [];
+    if (patch && patched.length === 0) {
+      throw new ImpactAnalysisError('The patch does not contain any file changes');
+    }
+    for (const file of patched) {
+      const ids = this.resolvePatchedFile(file);
+      if (ids.length === 0) unresolved.push(file.path);
+      ids.forEach(id => seeds.add(id));
+    }
+
+    if (given.length === 0 && patched.length === 0) {
+      throw new ImpactAnalysisError('List at least one changed file or function, or upload a patch');
+    }
+
+    const impacted = this.walk(seeds);
+    const project = (type: GraphNodeType) => impacted.filter(node => node.type === type);
+    const files = project('file');
+
+    const packages = new Map<string, ImpactedPackage>();
+    for (const node of impacted) {
+      if (!node.package) continue;
+      const pkg = packages.get(node.package) || { name: node.package, distance: node.distance, files: 0 };
+      pkg.distance = Math.min(pkg.distance, node.distance);
+      if (node.type === 'file') pkg.files++;
+      packages.set(node.package, pkg);
+    }
+
+    return {
+      projectId: this.graph.projectId,
+      createdAt: new Date().toISOString(),
+      changes: [...given, ...patched.map(file => file.path)],
+      unresolved,
+      functions: project('function'),
+      files: files.filter(node => !TEST_FILE.test(node.relativePath || '')),
+      tests: files.filter(node => TEST_FILE.test(node.relativePath || '')),
+      packages: Array.from(packages.values()).sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name)),
+      externals: project('external'),
+    };
+  }
+
+  // Breadth-first over the reverse edges. Reaching the file that contains a function costs no hop,
+  // as changing the function changes the file; calls and imports cost one.
+  private walk(seeds: Set<string>): ImpactedNode[] {
+    const distance = new Map<string, number>();
+    const via = new Map<string, ImpactedNode['via']>();
+    const queue: string[] = [];
+    for (const id of seeds) {
+      distance.set(id, 0);
+      via.set(id, null);
+      queue.push(id);
+    }
+
+    // A deque: zero-cost steps go to the front so nodes still leave in order of distance
+    while (queue.length > 0) {
+      const id = queue.shift()!;
+      const hops = distance.get(id)!;
+      for (const { id: dependent, edge } of this.dependents.get(id) || []) {
+        const next = edge === 'contains' ? hops : hops + 1;
+        if (distance.has(dependent) && distance.get(dependent)! <= next) continue;
+        distance.set(dependent, next);
+        via.set(dependent, { id, name: nodeName(this.byId.get(id)!), edge });
+        if (edge === 'contains') queue.unshift(dependent);
+        else queue.push(dependent);
+      }
+    }
+
+    return Array.from(distance, ([id, hops]) => {
+      const node = this.byId.get(id)!;
+      return {
+        id,
+        type: node.type,
+        name: nodeName(node),
+        filename: node.filename || null,
+        relativePath: node.relativePath || null,
+        line: node.line || null,
+        package: node.package || null,
+        distance: hops,
+        via: via.get(id) || null,
+      };
+    }).sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
+  }
+
+  private resolve(change: string): string[] {
+    const files = this.findFiles(change);
+    if (files.length > 0) return files.flatMap(file => this.wholeFile(file));
+
+    // `path:function` or `path:line`
+    const separator = change.lastIndexOf(':');
+    if (separator > 0) {
+      const [filePart, member] = [change.slice(0, separator), change.slice(separator + 1)];
+      const inFiles = this.findFiles(filePart);
+      if (inFiles.length > 0) {
+        const line = Number(member);
+        return inFiles.flatMap(file => Number.isInteger(line) && line > 0
+          ? this.linesIn(file, [line])
+          : this.functionsIn(file).filter(fn => fn.label === member || nodeName(fn) === member).map(fn => fn.id));
+      }
+    }
+
+    const functions = this.graph.nodes.filter(node => node.type === 'function' && (node.label === change || nodeName(node) === change));
+    if (functions.length > 0) return functions.map(fn => fn.id);
+    return this.graph.nodes.filter(node => node.type === 'external' && node.label === change).map(node => node.id);
+  }
+
+  private resolvePatchedFile({ path, lines }: PatchedFile): string[] {
+    return this.findFiles(path).flatMap(file => lines ? this.linesIn(file, lines) : this.wholeFile(file));
+  }
+
+  // File nodes whose project-relative path is `filePath` or ends with it, or which `filePath`
+  // ends with (a patch made from a parent directory of the uploaded root)
+  private findFiles(filePath: string): GraphNode[] {
+    const wanted = filePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+    if (!wanted) return [];
+    return this.graph.nodes.filter(node => {
+      if (node.type !== 'file' || !node.relativePath) return false;
+      const relative = node.relativePath;
+      return relative === wanted || relative.endsWith(`/${wanted}`) || wanted.endsWith(`/${relative}`);
+    });
+  }
+
+  private functionsIn(file: GraphNode): GraphNode[] {
+    return this.graph.nodes.filter(node => node.type === 'function' && node.parentFile === file.id);
+  }
+
+  // Without line information every function of the file may have changed
+  private wholeFile(file: GraphNode): string[] {
+    return [file.id, ...this.functionsIn(file).map(fn => fn.id)];
+  }
+
+  // The file and every function spanning one of `lines`, enclosing functions included. Graphs built
+  // before function ranges were recorded fall back to the whole file.
+  private linesIn(file: GraphNode, lines: number[]): string[] {
+    const functions = this.functionsIn(file);
+    if (functions.some(fn => fn.endLine === undefined)) return this.wholeFile(file);
+    const spanning = functions.filter(fn => lines.some(line => fn.line! <= line && line <= fn.endLine!));
+    return [file.id, ...spanning.map(fn => fn.id)];
+  }
+
+  // Files and changed lines of a unified diff (git diff, diff -u). Removed lines count as a change
+  // at the line now in their place; renames, mode changes and binary files as whole-file changes.
+  static parsePatch(patch: string): PatchedFile[] {
+    const files: PatchedFile[] = [];
+    let current: PatchedFile | null = null;
+    let oldPath: string | null = null;
+    let newLine = 0;
+    let oldRemaining = 0;
+    let newRemaining = 0;
+
+    const stripPrefix = (value: string) => value.split('\t')[0].trim().replace(/^"|"$/g, '').replace(/^[ab]\//, '');
+    const fileFor = (filePath: string): PatchedFile => {
+      let file = files.find(candidate => candidate.path === filePath);
+      if (!file) {
+        file = { path: filePath, lines: [] };
+        files.push(file);
+      }
+      return file;
+    };
+
+    for (const line of patch.split(/\r?\n/)) {
+      // Inside a hunk every line is content, even one starting with "---"
+      if (current && (oldRemaining > 0 || newRemaining > 0)) {
+        if (line.startsWith('+')) {
+          current.lines?.push(newLine++);
+          newRemaining--;
+        } else if (line.startsWith('-')) {
+          current.lines?.push(newLine);
+          oldRemaining--;
+        } else if (!line.startsWith('\\')) {
+          newLine++;
+          oldRemaining--;
+          newRemaining--;
+        }
+        continue;
+      }
+
+      const hunk = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+      if (hunk && current) {
+        oldRemaining = hunk[1] === undefined ? 1 : Number(hunk[1]);
+        newLine = Number(hunk[2]);
+        newRemaining = hunk[3] === undefined ? 1 : Number(hunk[3]);
+        continue;
+      }
+
+      const gitHeader = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/.exec(line);
+      if (gitHeader) {
+        oldPath = gitHeader[1];
+        current = fileFor(gitHeader[2]);
+        // Lines arrive with the hunks; a header followed by none is a rename, mode or binary change
+        current.lines = null;
+      } else if (line.startsWith('--- ')) {
+        oldPath = stripPrefix(line.slice(4));
+      } else if (line.startsWith('+++ ')) {
+        const newPath = stripPrefix(line.slice(4));
+        // A deleted file only has its old path
+        const filePath = newPath === '/dev/null' ? oldPath : newPath;
+        if (!filePath || filePath === '/dev/null') continue;
+        current = fileFor(filePath);
+        current.lines = newPath === '/dev/null' ? null : current.lines || [];
+      }
+    }
+
+    return files.map(file => ({ path: file.path, lines: file.lines && Array.from(new Set(file.lines)).sort((a, b) => a - b) }));
+  }
+
+  static toMarkdown(report: ImpactReport): string {
+    const code = (value: string) => `\`${value.replace(/`/g, "'")}\``;
+    const reason = (node: ImpactedNode) => node.via ? `${node.via.edge} ${code(node.via.name)}` : 'changed';
+    const table = (title: string, headers: string[], rows: string[][]) => rows.length === 0 ? [] : [
+      `## ${title} (${rows.length})`,
+      '',
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`),
+      '',
+    ];
+
+    return [
+      `# Impact analysis for ${report.projectId}`,
+      '',
+      `Generated ${report.createdAt}. Distance is the number of calls or imports between an item and the nearest change.`,
+      '',
+      '## Changes',
+      '',
+      ...report.changes.map(change => `- ${code(change)}${report.unresolved.includes(change) ? ' (not found in the project)' : ''}`),
+      '',
+      ...table('Packages', ['Distance', 'Package', 'Affected files'],
+        report.packages.map(pkg => [String(pkg.distance), code(pkg.name), String(pkg.files)])),
+      ...table('Test files', ['Distance', 'File', 'Reason'],
+        report.tests.map(node => [String(node.distance), code(node.name), reason(node)])),
+      ...table('Files', ['Distance', 'File', 'Reason'],
+        report.files.map(node => [String(node.distance), code(node.name), reason(node)])),
+      ...table('Functions', ['Distance', 'Function', 'Location', 'Reason'],
+        report.functions.map(node => [String(node.distance), code(node.name), code(`${node.relativePath}:${node.line}`), reason(node)])),
+      ...table('Changed third-party packages', ['Package'], report.externals.map(node => [code(node.name)])),
+    ].join('\n');
+  }
+}
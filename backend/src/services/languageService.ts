@@ -0,0 +1,170 @@
+import path from 'path';
+import { Project, SourceFile, ts } from 'ts-morph';
+import { CodeParser } from './codeParser.js';
+import { ProjectStore } from './projectStore.js';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export interface CodeLocation {
+  file: string;
+  relativePath: string;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  preview: string;
+  isDefinition?: boolean;
+}
+
+export interface QuickInfo {
+  kind: string;
+  signature: string;
+  documentation: string;
+  tags: { name: string; text: string }[];
+  range: { line: number; column: number; endLine: number; endColumn: number };
+  declaration: CodeLocation | null;
+}
+
+// Bad input (unknown project, file outside the project, position out of range)
+export class LanguageServiceError extends Error {
+  constructor(message: string, readonly status = 400) {
+    super(message);
+  }
+}
+
+// Each cached project holds every source file plus the type checker state, so keep only a few
+const MAX_CACHED_PROJECTS = 3;
+
+// Compiler-backed code intelligence for an uploaded project, built on the ts-morph Project
+// from CodeParser.loadProject. Lines and columns are 1-based, like CodeSymbol and Monaco.
+export class LanguageService {
+  private static cache = new Map<string, Promise<LanguageService>>();
+
+  private constructor(
+    readonly projectId: string,
+    readonly root: string,
+    private project: Project,
+  ) {}
+
+  static forProject(projectId: string): Promise<LanguageService> {
+    const cached = LanguageService.cache.get(projectId);
+    if (cached) {
+      // Move to the end so the least recently used project is evicted first
+      LanguageService.cache.delete(projectId);
+      LanguageService.cache.set(projectId, cached);
+      return cached;
+    }
+
+    const loading = LanguageService.load(projectId);
+    LanguageService.cache.set(projectId, loading);
+    loading.catch(() => LanguageService.cache.delete(projectId));
+    if (LanguageService.cache.size > MAX_CACHED_PROJECTS) {
+      LanguageService.cache.delete(LanguageService.cache.keys().next().value as string);
+    }
+    return loading;
+  }
+
+  // Drop the compiler state after a project's sources changed or it was deleted
+  static evict(projectId: string): void {
+    LanguageService.cache.delete(projectId);
+  }
+
+  private static async load(projectId: string): Promise<LanguageService> {
+    if (!(await ProjectStore.getMeta(projectId))) {
+      throw new LanguageServiceError('Project not found', 404);
+    }
+    const sourceDir = ProjectStore.sourceDir(projectId);
+    const started = Date.now();
+    const project = await CodeParser.loadProject(sourceDir);
+    console.log(`🧠 Loaded ${project.getSourceFiles().length} files for language features in ${Date.now() - started}ms`);
+    return new LanguageService(projectId, await FileUtils.resolveProjectRoot(sourceDir), project);
+  }
+
+  // Where the symbol at a position is declared
+  definitions(file: string, line: number, column: number): CodeLocation[] {
+    const sourceFile = this.sourceFileAt(file);
+    const definitions = this.project.getLanguageService().compilerObject
+      .getDefinitionAtPosition(sourceFile.getFilePath(), this.positionOf(sourceFile, line, column)) ?? [];
+
+    return definitions
+      .map(definition => this.toLocation(definition.fileName, definition.textSpan, true))
+      .filter((location): location is CodeLocation => location !== null);
+  }
+
+  // Every use of the symbol at a position across the project, declarations included
+  references(file: string, line: number, column: number): CodeLocation[] {
+    const sourceFile = this.sourceFileAt(file);
+    const referencedSymbols = this.project.getLanguageService().compilerObject
+      .findReferences(sourceFile.getFilePath(), this.positionOf(sourceFile, line, column)) ?? [];
+
+    const locations: CodeLocation[] = [];
+    for (const symbol of referencedSymbols) {
+      const { definition } = symbol;
+      for (const reference of symbol.references) {
+        const isDefinition = reference.fileName === definition.fileName && reference.textSpan.start === definition.textSpan.start;
+        const location = this.toLocation(reference.fileName, reference.textSpan, isDefinition);
+        if (location) locations.push(location);
+      }
+    }
+    return locations.sort((a, b) => a.relativePath.localeCompare(b.relativePath) || a.line - b.line || a.column - b.column);
+  }
+
+  // Type signature, JSDoc and declaration site of the symbol at a position (what an IDE shows on hover)
+  quickInfo(file: string, line: number, column: number): QuickInfo | null {
+    const sourceFile = this.sourceFileAt(file);
+    const position = this.positionOf(sourceFile, line, column);
+    const info = this.project.getLanguageService().compilerObject
+      .getQuickInfoAtPosition(sourceFile.getFilePath(), position);
+    if (!info) return null;
+
+    const start = sourceFile.getLineAndColumnAtPos(info.textSpan.start);
+    const end = sourceFile.getLineAndColumnAtPos(info.textSpan.start + info.textSpan.length);
+    return {
+      kind: info.kind,
+      signature: ts.displayPartsToString(info.displayParts),
+      documentation: ts.displayPartsToString(info.documentation),
+      tags: (info.tags ?? []).map(tag => ({ name: tag.name, text: ts.displayPartsToString(tag.text) })),
+      range: { line: start.line, column: start.column, endLine: end.line, endColumn: end.column },
+      declaration: this.definitions(file, line, column)[0] ?? null,
+    };
+  }
+
+  private sourceFileAt(file: string): SourceFile {
+    const sourceFile = this.project.getSourceFile(path.resolve(file));
+    if (!sourceFile) {
+      throw new LanguageServiceError('File is not a source file of this project', 404);
+    }
+    return sourceFile;
+  }
+
+  private positionOf(sourceFile: SourceFile, line: number, column: number): number {
+    const lineStarts = sourceFile.compilerNode.getLineStarts();
+    if (!Number.isInteger(line) || !Number.isInteger(column) || line < 1 || line > lineStarts.length || column < 1) {
+      throw new LanguageServiceError(`Invalid position ${line}:${column}`);
+    }
+    // A column past the end of the line stays on that line rather than running into the next
+    const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : sourceFile.getEnd();
+    return Math.min(lineStarts[line - 1] + column - 1, lineEnd);
+  }
+
+  // Convert a compiler span to a location; declarations outside the project (lib.d.ts, packages) are dropped
+  private toLocation(fileName: string, span: ts.TextSpan, isDefinition?: boolean): CodeLocation | null {
+    const sourceFile = this.project.getSourceFile(fileName);
+    const relativePath = FileUtils.toPosixPath(path.relative(this.root, fileName));
+    if (!sourceFile || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+
+    const start = sourceFile.getLineAndColumnAtPos(span.start);
+    const end = sourceFile.getLineAndColumnAtPos(span.start + span.length);
+    const lineStarts = sourceFile.compilerNode.getLineStarts();
+    const text = sourceFile.getFullText();
+    return {
+      file: path.resolve(sourceFile.getFilePath()),
+      relativePath,
+      line: start.line,
+      column: start.column,
+      endLine: end.line,
+      endColumn: end.column,
+      preview: text.slice(lineStarts[start.line - 1], lineStarts[start.line] ?? text.length).trim(),
+      isDefinition,
+    };
+  }
+}
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { FileUtils } from '../utils/fileUtils.js';
+import type { Project } from 'ts-morph';
+import { CodeParser, ProjectData } from './codeParser.js';
+
+export interface ProjectMeta {
+  id: string;
+  name: string;
+  originalFileName: string;
+  uploadedAt: string;
+  totalFiles: number;
+  totalLines: number;
+  parsedFiles: number;
+}
+
+// A freshly analyzed upload: the parse result and the compiler project it was parsed with, which
+// building the dependency graph reuses rather than loading every source file a second time
+export interface AnalyzedProject {
+  data: ProjectData;
+  project: Project;
+}
+
+const PROJECTS_DIR = path.resolve(process.env.PROJECTS_DIR || path.join('uploads', 'projects'));
+const META_FILE = 'project.json';
+const PARSED_FILE = 'parsed.json';
+const SOURCE_DIR = 'source';
+
+// Registry of uploaded projects. Each project lives in its own directory:
+//   <PROJECTS_DIR>/<id>/source/       extracted sources
+//   <PROJECTS_DIR>/<id>/project.json  metadata shown in the project list
+//   <PROJECTS_DIR>/<id>/parsed.json   cached CodeParser output
+// Other services keep their per-project caches next to these via ProjectStore.filePath().
+export class ProjectStore {
+  // Extract an uploaded zip into a new project workspace, parse it and cache the result
+  static async create(zipPath: string, originalFileName: string): Promise<AnalyzedProject> {
+    const name = path.basename(originalFileName, path.extname(originalFileName)) || 'project';
+    const id = ProjectStore.generateId(name);
+
+    try {
+      await FileUtils.extractZip(zipPath, ProjectStore.sourceDir(id));
+      return await ProjectStore.analyze(id, name, originalFileName);
+    } catch (error) {
+      await ProjectStore.delete(id).catch(() => {});
+      throw error;
+    } finally {
+      await FileUtils.deleteFile(zipPath).catch(() => {});
+    }
+  }
+
+  // Replace the sources of an existing project with a new upload, keeping its id (and with it
+  // every per-project cache that can be updated incrementally)
+  static async replace(id: string, zipPath: string, originalFileName: string): Promise<AnalyzedProject> {
+    const previous = await ProjectStore.getMeta(id);
+    if (!previous) {
+      await FileUtils.deleteFile(zipPath).catch(() => {});
+      throw new Error(`Project ${id} not found`);
+    }
+
+    // Extract next to the current sources first so a broken zip leaves the project untouched
+    const staging = ProjectStore.filePath(id, `${SOURCE_DIR}.next`);
+    try {
+      await fs.rm(staging, { recursive: true, force: true });
+      await FileUtils.extractZip(zipPath, staging);
+      await fs.rm(ProjectStore.sourceDir(id), { recursive: true, force: true });
+      await fs.rename(staging, ProjectStore.sourceDir(id));
+      return await ProjectStore.analyze(id, previous.name, originalFileName);
+    } finally {
+      await fs.rm(staging, { recursive: true, force: true }).catch(() => {});
+      await FileUtils.deleteFile(zipPath).catch(() => {});
+    }
+  }
+
+  // List all projects, most recent first
+  static async list(): Promise<ProjectMeta[]> {
+    let entries: string[];
+    try {
+      entries = await fs.readdir(PROJECTS_DIR);
+    } catch {
+      return [];
+    }
+
+    const projects: ProjectMeta[] = [];
+    for (const id of entries) {
+      const meta = await ProjectStore.getMeta(id);
+      if (meta) projects.push(meta);
+    }
+    return projects.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+  }
+
+  static async getMeta(id: string): Promise<ProjectMeta | null> {
+    if (!ProjectStore.isValidId(id)) return null;
+    try {
+      return JSON.parse(await FileUtils.readFile(ProjectStore.filePath(id, META_FILE)));
+    } catch {
+      return null;
+    }
+  }
+
+  // Load the cached parse result of a project
+  static async get(id: string): Promise<ProjectData | null> {
+    if (!ProjectStore.isValidId(id)) return null;
+    try {
+      return JSON.parse(await FileUtils.readFile(ProjectStore.filePath(id, PARSED_FILE)));
+    } catch {
+      return null;
+    }
+  }
+
+  static async delete(id: string): Promise<boolean> {
+    if (!ProjectStore.isValidId(id)) return false;
+    const dir = ProjectStore.projectDir(id);
+    try {
+      await fs.access(dir);
+    } catch {
+      return false;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  // Parse a project's sources and write its metadata and parse cache
+  private static async analyze(id: string, name: string, originalFileName: string): Promise<AnalyzedProject> {
+    const project = await CodeParser.loadProject(ProjectStore.sourceDir(id));
+    const data = await new CodeParser().parseProject(ProjectStore.sourceDir(id), id, name, project);
+
+    const meta: ProjectMeta = {
+      id,
+      name,
+      originalFileName,
+      uploadedAt: new Date().toISOString(),
+      totalFiles: data.totalFiles,
+      totalLines: data.totalLines,
+      parsedFiles: data.parsedFiles.length,
+    };
+    await fs.writeFile(ProjectStore.filePath(id, META_FILE), JSON.stringify(meta, null, 2));
+    await fs.writeFile(ProjectStore.filePath(id, PARSED_FILE), JSON.stringify(data));
+    return { data, project };
+  }
+
+  static projectDir(id: string): string {
+    return path.join(PROJECTS_DIR, id);
+  }
+
+  static sourceDir(id: string): string {
+    return path.join(PROJECTS_DIR, id, SOURCE_DIR);
+  }
+
+  // Path of a cache file inside a project's workspace
+  static filePath(id: string, fileName: string): string {
+    return path.join(PROJECTS_DIR, id, fileName);
+  }
+
+  // Ids end up in filesystem paths, so only accept the shape generateId() produces
+  static isValidId(id: string): boolean {
+    return /^[a-z0-9-]+$/.test(id);
+  }
+
+  private static generateId(name: string): string {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'project';
+    return `${slug}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+}
@@ -0,0 +1,77 @@
+import path from 'path';
+import { SymbolIndex } from './symbolIndex.js';
+
+export interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+// What the user is looking at in the code viewer when asking
+export interface EditorContext {
+  file: string;
+  relativePath: string;
+  selection?: {
+    startLine: number;
+    endLine: number;
+    text: string;
+  };
+  content?: string;
+}
+
+const MAX_SUBJECTS = 6;
+
+// Words that make a question depend on something said or shown earlier
+const REFERENCE_PATTERN = /\b(this|that|these|those|it|its|they|them|their|here|above|same)\b/i;
+const DECLARATION_PATTERN = /\b(?:function|class|interface|type|enum|const|let|var)\s+([A-Za-z_$][\w$]*)/g;
+const IDENTIFIER_PATTERN = /\b[A-Za-z_$][\w$]{2,}\b/g;
+const KEYWORDS = new Set([
+  'const', 'let', 'var', 'function', 'return', 'class', 'interface', 'type', 'export', 'import', 'from',
+  'default', 'async', 'await', 'new', 'this', 'true', 'false', 'null', 'undefined', 'if', 'else', 'for',
+  'while', 'switch', 'case', 'break', 'continue', 'try', 'catch', 'finally', 'throw', 'extends',
+  'implements', 'public', 'private', 'protected', 'readonly', 'static', 'string', 'number', 'boolean',
+  'void', 'any', 'unknown', 'never', 'typeof', 'instanceof', 'console', 'log',
+]);
+
+// A follow-up such as "what calls this?" means nothing to the vector search on its own
+export function isFollowUp(question: string): boolean {
+  return REFERENCE_PATTERN.test(question) || question.trim().split(/\s+/).length <= 3;
+}
+
+// Turn a follow-up question into a standalone retrieval query by appending what it refers to:
+// the selected code, else the open file's symbols, else the previous question in the conversation
+export async function buildRetrievalQuery(
+  projectId: string,
+  question: string,
+  history: ChatTurn[],
+  editor: EditorContext | null,
+): Promise<string> {
+  if (!isFollowUp(question)) return question;
+
+  let subjects: string[] = [];
+  if (editor?.selection) {
+    subjects = identifiersIn(editor.selection.text);
+  } else if (editor) {
+    const index = await SymbolIndex.forProject(projectId);
+    subjects = (index?.symbols ?? [])
+      .filter(s => s.file === editor.file && (s.kind === 'function' || s.kind === 'class' || s.kind === 'interface'))
+      .map(s => s.name)
+      .slice(0, MAX_SUBJECTS);
+    subjects.unshift(path.basename(editor.relativePath, path.extname(editor.relativePath)));
+  } else {
+    const previous = [...history].reverse().find(turn => turn.role === 'user');
+    if (previous) subjects = [previous.content];
+  }
+
+  return subjects.length > 0 ? `${question} ${subjects.join(' ')}` : question;
+}
+
+// Declared names first, then the most frequent identifiers
+function identifiersIn(code: string): string[] {
+  const declared = Array.from(code.matchAll(DECLARATION_PATTERN), match => match[1]);
+  const counts = new Map<string, number>();
+  for (const name of code.match(IDENTIFIER_PATTERN) ?? []) {
+    if (!KEYWORDS.has(name)) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  const frequent = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  return Array.from(new Set([...declared, ...frequent])).slice(0, MAX_SUBJECTS);
+}
@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from '../utils/fileUtils.js';
+import { ProjectStore } from './projectStore.js';
+import type { CodeSymbol, ParsedFile } from './codeParser.js';
+
+export interface IndexedSymbol {
+  name: string;
+  kind: CodeSymbol['kind'];
+  file: string;
+  relativePath: string;
+  line: number;
+  column: number;
+  context: string;
+}
+
+export interface SearchResult {
+  file: string;
+  line: number;
+  column: number;
+  context: string;
+  symbolName: string;
+  symbolKind: string;
+  score: number;
+}
+
+export interface SymbolQuery {
+  text: string;
+  kinds: string[];
+  fileGlobs: string[];
+}
+
+interface PersistedIndex {
+  projectId: string;
+  root: string;
+  createdAt: string;
+  symbols: IndexedSymbol[];
+}
+
+const INDEX_FILE = 'symbols.json';
+const MAX_CONTEXT_LENGTH = 200;
+
+// Symbol kinds that only show up when asked for explicitly with `kind:`
+const HIDDEN_BY_DEFAULT = ['import', 'export'];
+
+// Parse "kind:function file:src/** name" into filters and free text
+export function parseSymbolQuery(raw: string): SymbolQuery {
+  const query: SymbolQuery = { text: '', kinds: [], fileGlobs: [] };
+  const words: string[] = [];
+  for (const token of raw.trim().split(/\s+/)) {
+    const match = /^(kind|file):(.+)$/.exec(token);
+    if (!match) {
+      if (token) words.push(token);
+    } else if (match[1] === 'kind') {
+      query.kinds.push(...match[2].toLowerCase().split(',').filter(Boolean));
+    } else {
+      query.fileGlobs.push(match[2]);
+    }
+  }
+  query.text = words.join(' ');
+  return query;
+}
+
+// Score how well a symbol name matches the query text (0 = no match)
+function scoreName(name: string, text: string): number {
+  if (!text) return 1;
+  const lowerName = name.toLowerCase();
+  const lowerText = text.toLowerCase();
+
+  if (name === text) return 100;
+  if (lowerName === lowerText) return 95;
+  if (name.startsWith(text)) return 85;
+  if (lowerName.startsWith(lowerText)) return 80;
+  if (lowerName.includes(lowerText)) return 60;
+
+  // Fuzzy: every query character must appear in order; consecutive and word-start hits score higher
+  let score = 0;
+  let lastIndex = -1;
+  for (const ch of lowerText) {
+    const index = lowerName.indexOf(ch, lastIndex + 1);
+    if (index === -1) return 0;
+    if (index === lastIndex + 1) score += 3;
+    const prev = name[index - 1];
+    if (index === 0 || prev === '_' || prev === '$' || (name[index] >= 'A' && name[index] <= 'Z')) score += 2;
+    score += 1;
+    lastIndex = index;
+  }
+  return Math.min(50, Math.round((score / (lowerText.length * 6)) * 50));
+}
+
+export class SymbolIndex {
+  private static cache = new Map<string, SymbolIndex>();
+  private static latestProject: string | null = null;
+
+  constructor(
+    readonly projectId: string,
+    readonly root: string,
+    readonly symbols: IndexedSymbol[],
+  ) {}
+
+  // Build an index from the parser output and remember it as the active project
+  static async build(projectId: string, extractedPath: string, parsedFiles: ParsedFile[]): Promise<SymbolIndex> {
+    const root = await FileUtils.resolveProjectRoot(extractedPath);
+    const symbols: IndexedSymbol[] = [];
+    for (const file of parsedFiles) {
+      const lines = file.content.split('\n');
+      const relativePath = FileUtils.toPosixPath(path.relative(root, file.path));
+      for (const symbol of file.symbols) {
+        const sourceLine = (lines[symbol.line - 1] || '').trim();
+        symbols.push({
+          name: symbol.name,
+          kind: symbol.kind,
+          file: file.path,
+          relativePath,
+          line: symbol.line,
+          column: symbol.column,
+          context: (sourceLine || symbol.signature || '').slice(0, MAX_CONTEXT_LENGTH),
+        });
+      }
+    }
+
+    const index = new SymbolIndex(projectId, root, symbols);
+    await index.save();
+    SymbolIndex.cache.set(projectId, index);
+    SymbolIndex.latestProject = projectId;
+    return index;
+  }
+
+  // Get a project's index from memory, falling back to the persisted copy
+  static async forProject(projectId?: string): Promise<SymbolIndex | null> {
+    const id = projectId || SymbolIndex.latestProject;
+    if (!id || !ProjectStore.isValidId(id)) return null;
+
+    const cached = SymbolIndex.cache.get(id);
+    if (cached) return cached;
+
+    try {
+      const raw = await FileUtils.readFile(ProjectStore.filePath(id, INDEX_FILE));
+      const data: PersistedIndex = JSON.parse(raw);
+      const index = new SymbolIndex(data.projectId, data.root, data.symbols);
+      SymbolIndex.cache.set(id, index);
+      return index;
+    } catch {
+      return null;
+    }
+  }
+
+  // Forget a deleted project's index
+  static evict(projectId: string) {
+    SymbolIndex.cache.delete(projectId);
+    if (SymbolIndex.latestProject === projectId) SymbolIndex.latestProject = null;
+  }
+
+  async save(): Promise<void> {
+    const data: PersistedIndex = {
+      projectId: this.projectId,
+      root: this.root,
+      createdAt: new Date().toISOString(),
+      symbols: this.symbols,
+    };
+    await fs.writeFile(ProjectStore.filePath(this.projectId, INDEX_FILE), JSON.stringify(data));
+  }
+
+  search(rawQuery: string, limit = 50): SearchResult[] {
+    const query = parseSymbolQuery(rawQuery);
+    const fileMatchers = query.fileGlobs.map(glob => FileUtils.globMatcher(glob));
+    const results: SearchResult[] = [];
+
+    for (const symbol of this.symbols) {
+      if (query.kinds.length > 0) {
+        if (!query.kinds.includes(symbol.kind)) continue;
+      } else if (HIDDEN_BY_DEFAULT.includes(symbol.kind)) {
+        continue;
+      }
+      if (fileMatchers.length > 0 && !fileMatchers.some(matches => matches(symbol.relativePath))) {
+        continue;
+      }
+
+      const score = scoreName(symbol.name, query.text);
+      if (score === 0) continue;
+
+      results.push({
+        file: symbol.file,
+        line: symbol.line,
+        column: symbol.column,
+        context: symbol.context,
+        symbolName: symbol.name,
+        symbolKind: symbol.kind,
+        score,
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.symbolName.length - b.symbolName.length || a.file.localeCompare(b.file))
+      .slice(0, limit);
+  }
+}
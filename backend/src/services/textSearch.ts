@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import path from 'path';
+import vm from 'vm';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export interface TextSearchOptions {
+  query: string;
+  regex?: boolean;
+  caseSensitive?: boolean;
+  wholeWord?: boolean;
+  include?: string[];
+  exclude?: string[];
+  contextLines?: number;
+  maxResults?: number;
+}
+
+export interface TextSearchMatch {
+  file: string;
+  relativePath: string;
+  line: number;
+  column: number;
+  length: number;
+  text: string;
+  before: string[];
+  after: string[];
+}
+
+export interface TextSearchSummary {
+  totalMatches: number;
+  filesSearched: number;
+  filesMatched: number;
+  truncated: boolean;
+  timedOut: boolean; // files were skipped or the search stopped because matching took too long
+}
+
+const MAX_FILE_SIZE = 1024 * 1024; // Skip anything over 1MB, it is almost never hand-written source
+const MAX_LINE_LENGTH = 500;
+const MAX_CONTEXT_LINES = 10;
+// A pattern like (a+)+$ can backtrack for minutes on a single line, and a RegExp cannot be interrupted
+// on the event loop, so matching runs in a vm script whose `timeout` stops it. A file that takes longer
+// than FILE_TIME_LIMIT_MS is skipped; the search stops after SEARCH_TIME_LIMIT_MS of matching in total.
+const FILE_TIME_LIMIT_MS = 500;
+const SEARCH_TIME_LIMIT_MS = 5000;
+
+// Up to `limit` matches in `lines` as [line index, column, length], run in the search's context.
+// The context's globals are copied to locals first, as every global lookup there goes through Node.
+const FIND_MATCHES = new vm.Script(`((pattern, lines, limit) => {
+  const found = [];
+  for (let i = 0; i < lines.length && found.length < limit; i++) {
+    pattern.lastIndex = 0;
+    let match;
+    while (found.length < limit && (match = pattern.exec(lines[i])) !== null) {
+      found.push([i, match.index, match[0].length]);
+      // Zero-length matches (e.g. /^/) would otherwise loop forever
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+  }
+  return found;
+})(pattern, lines, limit)`);
+
+export class TextSearchError extends Error {}
+
+export class TextSearch {
+  private context: vm.Context;
+  private aborted = false;
+  private matchingTime = 0;
+  readonly summary: TextSearchSummary = { totalMatches: 0, filesSearched: 0, filesMatched: 0, truncated: false, timedOut: false };
+
+  constructor(private root: string, private options: TextSearchOptions) {
+    this.context = vm.createContext({ pattern: TextSearch.buildPattern(options) });
+    // Reject bad globs now rather than partway through a streamed response
+    for (const glob of [...(options.include || []), ...(options.exclude || [])]) {
+      try {
+        FileUtils.globToRegExp(glob);
+      } catch (error: any) {
+        throw new TextSearchError(error.message);
+      }
+    }
+  }
+
+  // Turn the query and mode flags into a global RegExp
+  static buildPattern(options: TextSearchOptions): RegExp {
+    if (!options.query) {
+      throw new TextSearchError('Search query is required');
+    }
+    let source = options.regex ? options.query : options.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (options.wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+    try {
+      return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+    } catch (error: any) {
+      throw new TextSearchError(`Invalid regular expression: ${error.message}`);
+    }
+  }
+
+  // Stop walking files; used when the client disconnects
+  abort() {
+    this.aborted = true;
+  }
+
+  // Yield matches one by one so large repositories can be streamed to the client
+  async *run(): AsyncGenerator<TextSearchMatch> {
+    const maxResults = this.options.maxResults ?? 1000;
+    const contextLines = Math.min(Math.max(this.options.contextLines ?? 0, 0), MAX_CONTEXT_LINES);
+
+    for await (const file of this.walk(this.root)) {
+      if (this.aborted) return;
+      if (this.matchingTime >= SEARCH_TIME_LIMIT_MS) {
+        this.summary.truncated = true;
+        this.summary.timedOut = true;
+        return;
+      }
+      const relativePath = FileUtils.toPosixPath(path.relative(this.root, file));
+      if (!this.isIncluded(relativePath)) continue;
+
+      const content = await this.readTextFile(file);
+      if (content === null) continue;
+      this.summary.filesSearched++;
+
+      const lines = content.split(/\r?\n/);
+      // One more than may still be reported, to tell whether the limit cut anything off
+      const found = this.findMatches(lines, maxResults - this.summary.totalMatches + 1);
+      if (found === null) continue;
+      if (found.length > 0) this.summary.filesMatched++;
+
+      for (const [i, column, length] of found) {
+        if (this.summary.totalMatches >= maxResults) {
+          this.summary.truncated = true;
+          return;
+        }
+        this.summary.totalMatches++;
+        yield {
+          file,
+          relativePath,
+          line: i + 1,
+          column: column + 1,
+          length,
+          text: lines[i].slice(0, MAX_LINE_LENGTH),
+          before: lines.slice(Math.max(0, i - contextLines), i).map(l => l.slice(0, MAX_LINE_LENGTH)),
+          after: lines.slice(i + 1, i + 1 + contextLines).map(l => l.slice(0, MAX_LINE_LENGTH)),
+        };
+      }
+    }
+  }
+
+  // Matches in one file, or null when it took too long to match
+  private findMatches(lines: string[], limit: number): [number, number, number][] | null {
+    const started = Date.now();
+    try {
+      Object.assign(this.context, { lines, limit });
+      return FIND_MATCHES.runInContext(this.context, {
+        timeout: Math.min(FILE_TIME_LIMIT_MS, SEARCH_TIME_LIMIT_MS - this.matchingTime),
+      });
+    } catch (error: any) {
+      if (error?.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      this.summary.truncated = true;
+      this.summary.timedOut = true;
+      return null;
+    } finally {
+      this.matchingTime += Date.now() - started;
+      this.context.lines = null;
+    }
+  }
+
+  private isIncluded(relativePath: string): boolean {
+    const { include = [], exclude = [] } = this.options;
+    if (include.length > 0 && !include.some(glob => FileUtils.matchesGlob(relativePath, glob))) return false;
+    return !exclude.some(glob => FileUtils.matchesGlob(relativePath, glob));
+  }
+
+  private async *walk(dir: string): AsyncGenerator<string> {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (FileUtils.shouldSkipDirectory(entry.name)) continue;
+        yield* this.walk(fullPath);
+      } else if (entry.isFile()) {
+        yield fullPath;
+      }
+    }
+  }
+
+  // Returns null for files that are too large or look binary
+  private async readTextFile(file: string): Promise<string | null> {
+    const stats = await fs.stat(file);
+    if (stats.size > MAX_FILE_SIZE) return null;
+    const buffer = await fs.readFile(file);
+    if (buffer.subarray(0, 8000).includes(0)) return null;
+    return buffer.toString('utf8');
+  }
+}
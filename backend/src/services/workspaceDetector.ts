@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from '../utils/fileUtils.js';
+
+export type WorkspaceTool = 'npm' | 'yarn' | 'pnpm' | 'lerna' | 'nx' | 'turborepo';
+
+export interface WorkspacePackage {
+  name: string;
+  version: string | null;
+  path: string;         // absolute package directory
+  relativePath: string; // from the project root, '.' for the root package
+  manifest: string;     // package.json, or project.json for Nx projects without one
+  private: boolean;
+  dependencies: Record<string, string>;    // dependencies, peerDependencies and optionalDependencies
+  devDependencies: Record<string, string>;
+  internalDependencies: string[];          // other packages of this workspace it depends on
+  entryPoints: Record<string, string>;     // import subpath ('.', './utils') -> source file it loads
+}
+
+export interface WorkspaceInfo {
+  tools: WorkspaceTool[]; // e.g. ['pnpm', 'turborepo']; empty for a plain single-package repo
+  packages: WorkspacePackage[];
+}
+
+type ExportsField = string | null | ExportsField[] | { [key: string]: ExportsField };
+
+interface PackageManifest {
+  name?: string;
+  version?: string;
+  private?: boolean;
+  main?: string;
+  module?: string;
+  source?: string;
+  exports?: ExportsField;
+  workspaces?: string[] | { packages?: string[] };
+  dependencies?: Record<string, string>;
+  devDependencies?: Record<string, string>;
+  peerDependencies?: Record<string, string>;
+  optionalDependencies?: Record<string, string>;
+}
+
+// Lerna's default when lerna.json does not list packages
+const LERNA_DEFAULT_PACKAGES = ['packages/*'];
+
+// Export conditions that point at loadable code, most source-like first ("types" is a .d.ts)
+const EXPORT_CONDITIONS = ['source', 'import', 'module', 'default', 'require', 'node', 'browser'];
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.js', '.jsx', '.mjs', '.cjs'];
+// Build output is rarely uploaded; its sources usually live under src/
+const BUILD_DIRS = /^(?:dist|lib|build|out|esm|cjs)\//;
+
+// Finds the packages of npm/yarn/pnpm workspaces, Lerna, Nx and Turborepo monorepos
+export class WorkspaceDetector {
+  static async detect(extractedPath: string): Promise<WorkspaceInfo> {
+    const root = await FileUtils.resolveProjectRoot(extractedPath);
+    const rootManifest = await readJson<PackageManifest>(path.join(root, 'package.json'));
+    const tools: WorkspaceTool[] = [];
+    const globs: string[] = [];
+
+    const workspaces = Array.isArray(rootManifest?.workspaces) ? rootManifest.workspaces : rootManifest?.workspaces?.packages;
+    if (workspaces?.length) {
+      tools.push(await exists(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm');
+      globs.push(...workspaces);
+    }
+
+    const pnpmWorkspace = await readText(path.join(root, 'pnpm-workspace.yaml'));
+    if (pnpmWorkspace !== null) {
+      tools.push('pnpm');
+      globs.push(...parsePnpmPackages(pnpmWorkspace));
+    }
+
+    const lerna = await readJson<{ packages?: string[]; useWorkspaces?: boolean }>(path.join(root, 'lerna.json'));
+    if (lerna) {
+      tools.push('lerna');
+      if (!lerna.useWorkspaces) globs.push(...(lerna.packages || LERNA_DEFAULT_PACKAGES));
+    }
+
+    const isNx = await exists(path.join(root, 'nx.json'));
+    if (isNx) tools.push('nx');
+    if (await exists(path.join(root, 'turbo.json'))) tools.push('turborepo');
+
+    const manifests = await findManifests(root);
+    const normalize = (glob: string) => glob.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+    const include = globs.filter(glob => !glob.startsWith('!')).map(normalize);
+    const exclude = globs.filter(glob => glob.startsWith('!')).map(normalize);
+    const isWorkspaceDir = (dir: string) =>
+      include.some(glob => FileUtils.matchesGlob(dir, glob)) && !exclude.some(glob => FileUtils.matchesGlob(dir, glob));
+
+    const packages: WorkspacePackage[] = [];
+    for (const dir of manifests.packageJson) {
+      // The root manifest only describes a package when the repo is not a workspace
+      if (dir === '.' ? include.length > 0 || isNx : !isWorkspaceDir(dir)) continue;
+      const manifest = await readJson<PackageManifest>(path.join(root, dir, 'package.json'));
+      if (manifest) packages.push({ ...toPackage(root, dir, manifest), entryPoints: await resolveEntryPoints(path.join(root, dir), manifest) });
+    }
+
+    // Nx projects may only have a project.json
+    if (isNx) {
+      for (const dir of manifests.projectJson) {
+        if (packages.some(pkg => pkg.relativePath === dir)) continue;
+        const project = await readJson<{ name?: string; implicitDependencies?: string[] }>(path.join(root, dir, 'project.json'));
+        if (!project) continue;
+        packages.push({
+          ...toPackage(root, dir, { name: project.name || path.posix.basename(dir) }),
+          manifest: path.join(root, dir, 'project.json'),
+          entryPoints: await resolveEntryPoints(path.join(root, dir), {}),
+          internalDependencies: (project.implicitDependencies || []).filter(name => !name.startsWith('!')),
+        });
+      }
+    }
+
+    const names = new Set(packages.map(pkg => pkg.name));
+    for (const pkg of packages) {
+      const declared = [...Object.keys(pkg.dependencies), ...Object.keys(pkg.devDependencies), ...pkg.internalDependencies];
+      pkg.internalDependencies = Array.from(new Set(declared.filter(name => names.has(name) && name !== pkg.name))).sort();
+    }
+
+    return { tools, packages: packages.sort((a, b) => a.relativePath.localeCompare(b.relativePath)) };
+  }
+
+  // The package a file belongs to: the one with the deepest directory containing it
+  static packageOf(workspace: WorkspaceInfo, filePath: string): WorkspacePackage | undefined {
+    let owner: WorkspacePackage | undefined;
+    for (const pkg of workspace.packages) {
+      const relative = path.relative(pkg.path, filePath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) continue;
+      if (!owner || pkg.path.length > owner.path.length) owner = pkg;
+    }
+    return owner;
+  }
+}
+
+function toPackage(root: string, dir: string, manifest: PackageManifest): WorkspacePackage {
+  return {
+    name: manifest.name || (dir === '.' ? path.basename(root) : path.posix.basename(dir)),
+    version: manifest.version || null,
+    path: path.join(root, dir),
+    relativePath: dir,
+    manifest: path.join(root, dir, 'package.json'),
+    private: !!manifest.private,
+    dependencies: { ...manifest.optionalDependencies, ...manifest.peerDependencies, ...manifest.dependencies },
+    devDependencies: { ...manifest.devDependencies },
+    internalDependencies: [],
+    entryPoints: {},
+  };
+}
+
+// Map a package's import subpaths to files in the upload, from "exports", else "source"/"module"/"main",
+// else an index file. Wildcard subpaths ("./*") are left to the importer.
+async function resolveEntryPoints(dir: string, manifest: PackageManifest): Promise<Record<string, string>> {
+  const targets: Record<string, string> = {};
+  const { exports } = manifest;
+  if (typeof exports === 'string' || Array.isArray(exports)) {
+    const target = pickExportTarget(exports);
+    if (target) targets['.'] = target;
+  } else if (exports && typeof exports === 'object') {
+    const isSubpathMap = Object.keys(exports).some(key => key.startsWith('.'));
+    for (const [subpath, value] of isSubpathMap ? Object.entries(exports) : [['.', exports] as const]) {
+      const target = pickExportTarget(value);
+      if (target && !subpath.includes('*')) targets[subpath] = target;
+    }
+  }
+  if (!targets['.']) {
+    const main = manifest.source || manifest.module || manifest.main;
+    if (main) targets['.'] = main;
+  }
+
+  const entryPoints: Record<string, string> = {};
+  for (const [subpath, target] of Object.entries(targets)) {
+    const file = await findSourceFile(dir, target);
+    if (file) entryPoints[subpath] = file;
+  }
+  if (!entryPoints['.']) {
+    const index = await findSourceFile(dir, 'src/index') || await findSourceFile(dir, 'index');
+    if (index) entryPoints['.'] = index;
+  }
+  return entryPoints;
+}
+
+function pickExportTarget(value: ExportsField | undefined): string | null {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const target = pickExportTarget(item);
+      if (target) return target;
+    }
+    return null;
+  }
+  if (!value || typeof value !== 'object') return null;
+  for (const condition of EXPORT_CONDITIONS) {
+    const target = pickExportTarget(value[condition]);
+    if (target) return target;
+  }
+  return null;
+}
+
+// The file a manifest path refers to, trying TypeScript sources for compiled .js paths,
+// src/ for build directories, and index files for directories
+export async function findSourceFile(dir: string, target: string): Promise<string | null> {
+  const relative = path.posix.normalize(target.replace(/^\.\//, ''));
+  const withoutExtension = relative.replace(/\.(?:[cm]?js|jsx|d\.ts)$/, '');
+  const bases = [withoutExtension];
+  if (BUILD_DIRS.test(withoutExtension)) bases.push(withoutExtension.replace(BUILD_DIRS, 'src/'));
+
+  const candidates = [relative];
+  for (const base of bases) {
+    candidates.push(...SOURCE_EXTENSIONS.map(ext => base + ext), ...SOURCE_EXTENSIONS.map(ext => `${base}/index${ext}`));
+  }
+  for (const candidate of candidates) {
+    const file = path.join(dir, candidate);
+    try {
+      if ((await fs.stat(file)).isFile()) return file;
+    } catch {}
+  }
+  return null;
+}
+
+// Project-relative (posix) directories holding a package.json or an Nx project.json
+async function findManifests(root: string): Promise<{ packageJson: string[]; projectJson: string[] }> {
+  const found = { packageJson: [] as string[], projectJson: [] as string[] };
+  for (const file of await FileUtils.getAllFiles(root)) {
+    const relative = FileUtils.toPosixPath(path.relative(root, file));
+    const dirs = relative.split('/').slice(0, -1);
+    if (dirs.some(dir => FileUtils.shouldSkipDirectory(dir))) continue;
+    const dir = dirs.length > 0 ? dirs.join('/') : '.';
+    const name = path.posix.basename(relative);
+    if (name === 'package.json') found.packageJson.push(dir);
+    else if (name === 'project.json') found.projectJson.push(dir);
+  }
+  return found;
+}
+
+// The `packages:` list of pnpm-workspace.yaml, without pulling in a YAML parser
+function parsePnpmPackages(yaml: string): string[] {
+  const globs: string[] = [];
+  let inPackages = false;
+  for (const line of yaml.split('\n')) {
+    const text = line.replace(/#.*$/, '').trimEnd();
+    if (!text.trim()) continue;
+    if (/^\S/.test(text)) {
+      inPackages = /^packages\s*:/.test(text);
+      continue;
+    }
+    const item = inPackages && /^\s*-\s*(.+)$/.exec(text);
+    if (item) globs.push(item[1].trim().replace(/^['"]|['"]$/g, ''));
+  }
+  return globs;
+}
+
+async function exists(filePath: string): Promise<boolean> {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readText(filePath: string): Promise<string | null> {
+  try {
+    return await FileUtils.readFile(filePath);
+  } catch {
+    return null;
+  }
+}
+
+async function readJson<T>(filePath: string): Promise<T | null> {
+  const text = await readText(filePath);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text) as T;
+  } catch {
+    console.warn(`⚠️ Could not parse ${filePath}`);
+    return null;
+  }
+}
@@ -0,0 +1,283 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SYSTEM_PROMPT = 'You are a senior engineer helping a developer understand a codebase. ' +
+  'Answer using only the provided code context, reference files and functions by name, and say so when the context is not enough.';
+
+// Render retrieved chunks as numbered context blocks for the prompt
+function formatContext(context) {
+  return context.map((chunk, index) =>
+    `${index + 1}. File: ${chunk.file} (Line ${chunk.line})
+${chunk.text}
+`).join('\n');
+}
+
+// The file or selection open in the editor, which is what "this" in a follow-up usually refers to
+function formatEditorContext(editor) {
+  if (!editor) return '';
+  if (editor.selection) {
+    return `The user has selected lines ${editor.selection.startLine}-${editor.selection.endLine} of ${editor.relativePath}:
+${editor.selection.text}
+
+`;
+  }
+  return editor.content
+    ? `The user has ${editor.relativePath} open:
+${editor.content}
+
+`
+    : `The user has ${editor.relativePath} open.
+
+`;
+}
+
+// Earlier turns for providers that only take a single prompt
+function formatHistory(history) {
+  if (!history?.length) return '';
+  return `Conversation so far:
+${history.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n')}
+
+`;
+}
+
+function buildPrompt(question, context, conversation = {}, includeHistory = true) {
+  return `${includeHistory ? formatHistory(conversation.history) : ''}${formatEditorContext(conversation.editor)}Context: Here are relevant code snippets from the codebase:
+
+${formatContext(context)}
+
+Question: ${question}
+
+Please provide a helpful answer based on the code context above. Be specific and reference the relevant files and functions when possible.
+
+Answer:`;
+}
+
+// Every provider implements generate(question, context, conversation) and an async generator
+// stream(question, context, conversation, signal); `conversation` holds the chat history and editor context.
+
+// Any server exposing POST /chat/completions in the OpenAI format (OpenAI, vLLM, llama.cpp, Ollama, LM Studio...)
+const STREAM_DONE = Symbol('done');
+
+// The answer token in one server-sent line of a streamed completion: STREAM_DONE for `data: [DONE]`,
+// null for anything else (comments, keep-alives, empty, malformed or error payloads)
+function parseStreamLine(line) {
+  if (!line.startsWith('data:')) return null;
+  const payload = line.slice(5).trim();
+  if (!payload) return null;
+  if (payload === '[DONE]') return STREAM_DONE;
+  try {
+    return JSON.parse(payload).choices?.[0]?.delta?.content || null;
+  } catch {
+    return null;
+  }
+}
+
+class OpenAICompatibleAnswerProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = process.env.LLM_MODEL || 'llama3';
+    this.apiKey = process.env.LLM_API_KEY;
+    this.timeout = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+  }
+
+  // Earlier turns go in as chat messages; the code context only accompanies the latest question
+  requestBody(question, context, conversation, stream) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        ...(conversation.history || []).map(turn => ({ role: turn.role, content: turn.content })),
+        { role: 'user', content: buildPrompt(question, context, conversation, false) },
+      ],
+      temperature: 0.2,
+      max_tokens: Number(process.env.LLM_MAX_TOKENS) || 800,
+      stream,
+    };
+  }
+
+  get headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  async generate(question, context, conversation = {}) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        this.requestBody(question, context, conversation, false),
+        {
+          headers: this.headers,
+          timeout: this.timeout,
+        }
+      );
+
+      const answer = response.data?.choices?.[0]?.message?.content;
+      if (!answer) {
+        throw new Error('Chat completions response did not contain an answer');
+      }
+      return answer.trim();
+    } catch (error) {
+      console.error('❌ Error generating answer:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Yield answer tokens from the server-sent `data:` lines of a streamed completion.
+  // The timeout only covers waiting for the response; a long answer may keep streaming.
+  async *stream(question, context, conversation = {}, signal) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.requestBody(question, context, conversation, true),
+      {
+        headers: this.headers,
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal,
+      }
+    );
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const token = parseStreamLine(line);
+        if (token === STREAM_DONE) return;
+        if (token) yield token;
+      }
+    }
+    // The last line may end without a newline
+    const token = parseStreamLine(buffer);
+    if (token && token !== STREAM_DONE) yield token;
+  }
+}
+
+// Hosted Hugging Face text-generation model (the original behaviour)
+class HuggingFaceAnswerProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.model = process.env.HUGGINGFACE_ANSWER_MODEL || 'microsoft/DialoGPT-medium';
+    this.baseUrl = `https://api-inference.huggingface.co/models/${this.model}`;
+  }
+
+  async generate(question, context, conversation = {}) {
+    const token = process.env.HUGGINGFACE_TOKEN;
+    if (!token) {
+      throw new Error('HUGGINGFACE_TOKEN is not set in environment variables');
+    }
+
+    try {
+      const response = await axios.post(
+        this.baseUrl,
+        {
+          inputs: buildPrompt(question, context, conversation),
+          parameters: {
+            max_new_tokens: 500,
+            temperature: 0.7,
+            do_sample: true,
+            return_full_text: false,
+          },
+          options: { wait_for_model: true }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 60000, // 60 second timeout for generation
+        }
+      );
+
+      // Handle different response formats
+      let answer = '';
+      if (Array.isArray(response.data)) {
+        answer = response.data[0]?.generated_text || response.data[0]?.text || 'No answer generated';
+      } else if (response.data.generated_text) {
+        answer = response.data.generated_text;
+      } else {
+        answer = 'Unable to generate answer';
+      }
+
+      return answer.trim();
+    } catch (error) {
+      console.error('❌ Error generating answer:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // The inference API returns the whole answer at once
+  async *stream(question, context, conversation) {
+    yield await this.generate(question, context, conversation);
+  }
+}
+
+// No model at all: summarise the top retrieved chunks. Always available, so it doubles as the fallback.
+class ExtractiveAnswerProvider {
+  constructor() {
+    this.name = 'extractive';
+    this.model = null;
+    this.baseUrl = null;
+  }
+
+  async generate(question, context) {
+    if (context.length === 0) {
+      return `I couldn't find code related to: ${question}`;
+    }
+
+    const sections = context.map((chunk, index) => {
+      const location = `${chunk.file.split('/').pop()} (line ${chunk.line})`;
+      const subject = chunk.function_name
+        ? `\`${chunk.function_name}\` ${chunk.type || 'code'} in ${location}`
+        : `code in ${location}`;
+      const preview = chunk.text.split('\n').filter(line => line.trim()).slice(0, 6).join('\n');
+      return `${index + 1}. The ${subject}:\n${preview}`;
+    });
+
+    return `Based on the codebase, these are the most relevant places for "${question}":\n\n${
+      sections.join('\n\n')
+    }\n\nOpen the sources below to read the full code.`;
+  }
+
+  async *stream(question, context) {
+    yield await this.generate(question, context);
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAICompatibleAnswerProvider,
+  huggingface: HuggingFaceAnswerProvider,
+  extractive: ExtractiveAnswerProvider,
+};
+
+let provider = null;
+let fallbackProvider = null;
+
+// ANSWER_PROVIDER selects the implementation; without it we prefer a configured local/OpenAI-compatible
+// endpoint, then Hugging Face, then the extractive mode.
+export function getAnswerProvider() {
+  if (provider) return provider;
+
+  const name = process.env.ANSWER_PROVIDER ||
+    (process.env.LLM_BASE_URL ? 'openai' : process.env.HUGGINGFACE_TOKEN ? 'huggingface' : 'extractive');
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown ANSWER_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  provider = new Provider();
+  console.log(`💬 Using ${provider.name} answer generation${provider.model ? ` (${provider.model})` : ''}`);
+  return provider;
+}
+
+// Used when the configured provider fails so the user still gets the retrieved code
+export function getFallbackAnswerProvider() {
+  if (!fallbackProvider) fallbackProvider = new ExtractiveAnswerProvider();
+  return fallbackProvider;
+}
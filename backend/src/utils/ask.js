@@ -1,62 +1,24 @@
-import axios from 'axios';
-import { QdrantClient } from '@qdrant/js-client-rest';
 import dotenv from 'dotenv';
+import { getEmbeddingProvider } from './embeddingProviders.js';
+import { getAnswerProvider, getFallbackAnswerProvider } from './answerProviders.js';
+import { getVectorStore } from './vectorStores.js';
 
 dotenv.config();
 
-const client = new QdrantClient({
-  url: process.env.QDRANT_URL || 'http://localhost:6333',
-});
-
-const COLLECTION_NAME = process.env.QDRANT_COLLECTION || 'codebase_chunks';
-const HF_TOKEN = process.env.HUGGINGFACE_TOKEN;
-
-// Get embedding for a single text
-async function getEmbedding(text) {
-  if (!HF_TOKEN) {
-    throw new Error('HUGGINGFACE_TOKEN is not set in environment variables');
-  }
-
-  try {
-    const response = await axios.post(
-      'https://api-inference.huggingface.co/pipeline/feature-extraction/sentence-transformers/all-MiniLM-L6-v2',
-      {
-        inputs: [text],
-        options: { wait_for_model: true }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HF_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000,
-      }
-    );
-
-    return response.data[0]; // Return first (and only) embedding
-  } catch (error) {
-    console.error('❌ Error getting embedding:', error.response?.data || error.message);
-    throw error;
-  }
-}
-
 // Search for relevant code chunks
-async function searchRelevantChunks(question, limit = 5) {
+async function searchRelevantChunks(projectId, question, limit = 5) {
   try {
     // Get embedding for the question
-    const questionEmbedding = await getEmbedding(question);
+    const [questionEmbedding] = await getEmbeddingProvider().embed([question]);
 
-    // Search in Qdrant
-    const searchResult = await client.search(COLLECTION_NAME, {
-      vector: questionEmbedding,
-      limit: limit,
-      with_payload: true,
-    });
+    const store = await getVectorStore();
+    const searchResult = await store.search(projectId, questionEmbedding, limit);
 
     return searchResult.map(result => ({
       score: result.score,
       file: result.payload.file,
       line: result.payload.line,
+      endLine: result.payload.end_line,
       text: result.payload.text,
       type: result.payload.type,
       function_name: result.payload.function_name,
@@ -67,81 +29,39 @@ async function searchRelevantChunks(question, limit = 5) {
   }
 }
 
-// Generate answer using Hugging Face
-async function generateAnswer(question, context) {
-  if (!HF_TOKEN) {
-    throw new Error('HUGGINGFACE_TOKEN is not set in environment variables');
-  }
-
-  const prompt = `Context: Here are relevant code snippets from the codebase:
-
-${context.map((chunk, index) => 
-  `${index + 1}. File: ${chunk.file} (Line ${chunk.line})
-${chunk.text}
-`).join('\n')}
-
-Question: ${question}
-
-Please provide a helpful answer based on the code context above. Be specific and reference the relevant files and functions when possible.
-
-Answer:`;
-
+// Generate an answer with the configured provider, falling back to an extractive summary
+async function generateAnswer(question, context, conversation) {
+  const provider = getAnswerProvider();
   try {
-    const response = await axios.post(
-      'https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium',
-      {
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 500,
-          temperature: 0.7,
-          do_sample: true,
-          return_full_text: false,
-        },
-        options: { wait_for_model: true }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HF_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 60000, // 60 second timeout for generation
-      }
-    );
-
-    // Handle different response formats
-    let answer = '';
-    if (Array.isArray(response.data)) {
-      answer = response.data[0]?.generated_text || response.data[0]?.text || 'No answer generated';
-    } else if (response.data.generated_text) {
-      answer = response.data.generated_text;
-    } else {
-      answer = 'Unable to generate answer';
-    }
-
-    return answer.trim();
+    return { answer: await provider.generate(question, context, conversation), provider: provider.name };
   } catch (error) {
-    console.error('❌ Error generating answer:', error.response?.data || error.message);
-    
-    // Fallback: provide a basic answer based on context
-    if (context.length > 0) {
-      return `Based on the codebase, I found ${context.length} relevant code snippets:\n\n${
-        context.map((chunk, index) => 
-          `${index + 1}. In ${chunk.file} (line ${chunk.line}): ${chunk.text.substring(0, 100)}...`
-        ).join('\n')
-      }\n\nPlease check these files for more details about: ${question}`;
-    }
-    
-    throw error;
+    const fallback = getFallbackAnswerProvider();
+    if (provider.name === fallback.name) throw error;
+    console.log(`⚠️ ${provider.name} answer generation failed, using ${fallback.name} answer instead`);
+    return { answer: await fallback.generate(question, context, conversation), provider: fallback.name };
   }
 }
 
-// Main function to answer questions
-export async function answerQuestion(question) {
+function toSources(chunks) {
+  return chunks.map(chunk => ({
+    file: chunk.file,
+    line: chunk.line,
+    endLine: chunk.endLine,
+    score: chunk.score,
+    preview: chunk.text.substring(0, 150) + '...'
+  }));
+}
+
+// Main function to answer questions. `conversation` carries the chat history, the code open in the
+// editor and the standalone retrievalQuery a follow-up question was rewritten into.
+export async function answerQuestion(projectId, question, conversation = {}) {
   try {
     console.log(`🤔 Processing question: ${question}`);
+    const query = conversation.retrievalQuery || question;
+    if (query !== question) console.log(`🔁 Searching for: ${query}`);
 
     // Search for relevant code chunks
-    const relevantChunks = await searchRelevantChunks(question, 5);
+    const relevantChunks = await searchRelevantChunks(projectId, query, 5);
     
     if (relevantChunks.length === 0) {
       return {
@@ -154,20 +74,54 @@ export async function answerQuestion(question) {
     console.log(`📚 Found ${relevantChunks.length} relevant chunks`);
 
     // Generate answer using the context
-    const answer = await generateAnswer(question, relevantChunks);
+    const { answer, provider } = await generateAnswer(question, relevantChunks, conversation);
 
     return {
       answer: answer,
-      sources: relevantChunks.map(chunk => ({
-        file: chunk.file,
-        line: chunk.line,
-        score: chunk.score,
-        preview: chunk.text.substring(0, 150) + '...'
-      })),
+      provider: provider,
+      sources: toSources(relevantChunks),
       confidence: relevantChunks[0]?.score || 0
     };
   } catch (error) {
     console.error('❌ Error answering question:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Streaming variant of answerQuestion. Yields { type: 'sources' }, then { type: 'token' } events as the
+// answer is generated, then { type: 'done' } with the confidence. Stops early when `signal` aborts.
+export async function* streamAnswer(projectId, question, conversation = {}, signal) {
+  console.log(`🤔 Processing question (streaming): ${question}`);
+  const query = conversation.retrievalQuery || question;
+  if (query !== question) console.log(`🔁 Searching for: ${query}`);
+
+  const relevantChunks = await searchRelevantChunks(projectId, query, 5);
+  yield { type: 'sources', sources: toSources(relevantChunks) };
+
+  if (relevantChunks.length === 0) {
+    yield { type: 'token', text: "I couldn't find any relevant code snippets for your question. Please try rephrasing or asking about specific functions, files, or concepts in your codebase." };
+    yield { type: 'done', confidence: 0, provider: null };
+    return;
+  }
+
+  let provider = getAnswerProvider();
+  let emitted = false;
+  try {
+    for await (const text of provider.stream(question, relevantChunks, conversation, signal)) {
+      emitted = true;
+      yield { type: 'token', text };
+    }
+  } catch (error) {
+    if (signal?.aborted) return;
+    // Once tokens went out we can't swap in another answer, only report the failure
+    const fallback = getFallbackAnswerProvider();
+    if (emitted || provider.name === fallback.name) throw error;
+    console.log(`⚠️ ${provider.name} answer generation failed, using ${fallback.name} answer instead`);
+    provider = fallback;
+    for await (const text of fallback.stream(question, relevantChunks, conversation, signal)) {
+      yield { type: 'token', text };
+    }
+  }
+
+  yield { type: 'done', confidence: relevantChunks[0]?.score || 0, provider: provider.name };
+}
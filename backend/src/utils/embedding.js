@@ -1,108 +1,64 @@
-import axios from 'axios';
-import { QdrantClient } from '@qdrant/js-client-rest';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { getEmbeddingProvider } from './embeddingProviders.js';
+import { getVectorStore } from './vectorStores.js';
 
 dotenv.config();
 
-const client = new QdrantClient({
-  url: process.env.QDRANT_URL || 'http://localhost:6333',
-});
-
-const COLLECTION_NAME = process.env.QDRANT_COLLECTION || 'codebase_chunks';
-const HF_TOKEN = process.env.HUGGINGFACE_TOKEN;
-
-// Initialize Qdrant collection
-export async function initializeCollection() {
-  try {
-    // Check if collection exists
-    const collections = await client.getCollections();
-    const collectionExists = collections.collections.some(
-      col => col.name === COLLECTION_NAME
-    );
-
-    if (!collectionExists) {
-      await client.createCollection(COLLECTION_NAME, {
-        vectors: {
-          size: 384, // sentence-transformers/all-MiniLM-L6-v2 embedding size
-          distance: 'Cosine',
-        },
-      });
-      console.log(`✅ Created Qdrant collection: ${COLLECTION_NAME}`);
-    } else {
-      console.log(`✅ Qdrant collection already exists: ${COLLECTION_NAME}`);
-    }
-  } catch (error) {
-    console.error('❌ Error initializing Qdrant collection:', error);
-    throw error;
-  }
+// Text that gets embedded for a chunk
+function embeddingText(chunk) {
+  return `File: ${chunk.relativePath || chunk.file}\nLine: ${chunk.line}\nCode: ${chunk.text}`;
 }
 
-// Get embeddings from Hugging Face
-async function getEmbeddings(texts) {
-  if (!HF_TOKEN) {
-    throw new Error('HUGGINGFACE_TOKEN is not set in environment variables');
-  }
-
-  try {
-    const response = await axios.post(
-      'https://api-inference.huggingface.co/pipeline/feature-extraction/sentence-transformers/all-MiniLM-L6-v2',
-      {
-        inputs: texts,
-        options: { wait_for_model: true }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HF_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // 30 second timeout
-      }
-    );
-
-    return response.data;
-  } catch (error) {
-    console.error('❌ Error getting embeddings from Hugging Face:', error.response?.data || error.message);
-    throw error;
-  }
+// Stable point id derived from everything that ends up in the vector or payload, formatted as a
+// UUID because Qdrant only accepts integers and UUIDs. Unchanged chunks keep their id across uploads.
+function pointId(chunk, text, provider) {
+  const hex = crypto.createHash('sha256')
+    .update(`${provider.name}:${provider.model}\n${chunk.file}\n${chunk.endLine}\n${text}`)
+    .digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
 }
 
-// Index code chunks into Qdrant
-export async function indexCodeChunks(chunks) {
+// Sync a project's code chunks into the active vector store: embed only chunks that are not
+// stored yet and delete points whose chunk no longer exists (edited or removed files)
+export async function indexCodeChunks(projectId, chunks) {
   try {
     console.log(`🔄 Indexing ${chunks.length} code chunks...`);
-    
-    if (chunks.length === 0) {
-      console.log('⚠️ No chunks to index');
-      return;
+
+    const provider = getEmbeddingProvider();
+    const store = await getVectorStore();
+    await store.prepare(projectId, provider.dimensions);
+
+    const existingIds = new Set(await store.listIds(projectId));
+    const currentIds = new Set();
+    const pending = [];
+    for (const chunk of chunks) {
+      const text = embeddingText(chunk);
+      const id = pointId(chunk, text, provider);
+      if (currentIds.has(id)) continue;
+      currentIds.add(id);
+      if (!existingIds.has(id)) pending.push({ id, chunk, text });
     }
+    const staleIds = [...existingIds].filter(id => !currentIds.has(id));
 
-    // Initialize collection if needed
-    await initializeCollection();
+    // Get embeddings in batches to avoid API limits
+    const batchSize = provider.batchSize;
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
 
-    // Prepare texts for embedding
-    const texts = chunks.map(chunk => 
-      `File: ${chunk.file}\nLine: ${chunk.line}\nCode: ${chunk.text}`
-    );
+      console.log(`🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(pending.length / batchSize)}`);
 
-    // Get embeddings in batches to avoid API limits
-    const batchSize = 10;
-    const points = [];
+      const embeddings = await provider.embed(batch.map(item => item.text));
 
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      const batch = chunks.slice(i, i + batchSize);
-      const batchTexts = texts.slice(i, i + batchSize);
-      
-      console.log(`🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(chunks.length / batchSize)}`);
-      
-      const embeddings = await getEmbeddings(batchTexts);
-      
-      // Prepare points for Qdrant
-      const batchPoints = batch.map((chunk, index) => ({
-        id: i + index + 1, // Unique ID
+      // Prepare points for the vector store
+      const points = batch.map(({ id, chunk }, index) => ({
+        id,
         vector: embeddings[index],
         payload: {
           file: chunk.file,
+          relative_path: chunk.relativePath || null,
           line: chunk.line,
+          end_line: chunk.endLine || null,
           text: chunk.text,
           type: chunk.type || 'code',
           function_name: chunk.function_name || null,
@@ -110,33 +66,32 @@ export async function indexCodeChunks(chunks) {
         },
       }));
 
-      points.push(...batchPoints);
-      
-      // Small delay to respect API rate limits
-      await new Promise(resolve => setTimeout(resolve, 100));
+      // Upsert per batch so an interrupted run keeps the work already done
+      await store.upsert(projectId, points);
+
+      if (provider.requestDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, provider.requestDelayMs));
+      }
     }
 
-    // Insert all points into Qdrant
-    await client.upsert(COLLECTION_NAME, {
-      wait: true,
-      points: points,
-    });
+    await store.delete(projectId, staleIds);
 
-    console.log(`✅ Successfully indexed ${points.length} code chunks`);
-    return { success: true, indexed: points.length };
+    const unchanged = currentIds.size - pending.length;
+    console.log(`✅ Indexed ${pending.length} new code chunks (${unchanged} unchanged, ${staleIds.length} removed)`);
+    return { success: true, indexed: pending.length, unchanged, removed: staleIds.length };
   } catch (error) {
     console.error('❌ Error indexing code chunks:', error);
     throw error;
   }
 }
 
-// Clear existing collection (useful for re-indexing)
-export async function clearCollection() {
+// Remove all of a project's vectors
+export async function clearIndex(projectId) {
   try {
-    await client.deleteCollection(COLLECTION_NAME);
-    console.log(`✅ Cleared collection: ${COLLECTION_NAME}`);
+    const store = await getVectorStore();
+    await store.clear(projectId);
   } catch (error) {
-    console.error('❌ Error clearing collection:', error);
+    console.error('❌ Error clearing vector index:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,123 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Hosted sentence-transformers model (needs HUGGINGFACE_TOKEN and internet access)
+class HuggingFaceEmbeddingProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.model = process.env.HUGGINGFACE_EMBEDDING_MODEL || 'sentence-transformers/all-MiniLM-L6-v2';
+    this.dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || 384; // all-MiniLM-L6-v2 embedding size
+    this.batchSize = 10;
+    this.requestDelayMs = 100; // Small delay between batches to respect API rate limits
+  }
+
+  async embed(texts) {
+    const token = process.env.HUGGINGFACE_TOKEN;
+    if (!token) {
+      throw new Error('HUGGINGFACE_TOKEN is not set in environment variables');
+    }
+
+    try {
+      const response = await axios.post(
+        `https://api-inference.huggingface.co/pipeline/feature-extraction/${this.model}`,
+        {
+          inputs: texts,
+          options: { wait_for_model: true }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 30000, // 30 second timeout
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error getting embeddings from Hugging Face:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+}
+
+// Offline feature-hashing vectorizer: deterministic, no model files or network needed.
+// Identifiers are split on camelCase/snake_case so `getUserById` also matches "user id".
+class LocalEmbeddingProvider {
+  constructor() {
+    this.name = 'local';
+    this.model = 'hashing-vectorizer';
+    this.dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || 512;
+    this.batchSize = 64;
+    this.requestDelayMs = 0;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.vectorize(text));
+  }
+
+  vectorize(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const counts = new Map();
+    const tokens = tokenize(text);
+
+    // Unigrams plus adjacent-token bigrams so short phrases carry some word-order signal
+    for (let i = 0; i < tokens.length; i++) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${tokens[i - 1]} ${tokens[i]}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    }
+
+    for (const [feature, count] of counts) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count)); // sublinear term frequency
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+}
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'is', 'it', 'for', 'on', 'this', 'that', 'what', 'how',
+  'does', 'do', 'where', 'which', 'file', 'line', 'code', 'const', 'let', 'var', 'return', 'new',
+]);
+
+function tokenize(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+const PROVIDERS = {
+  huggingface: HuggingFaceEmbeddingProvider,
+  local: LocalEmbeddingProvider,
+};
+
+let provider = null;
+
+// EMBEDDING_PROVIDER selects the implementation; without it we use Hugging Face when a token
+// is configured and the offline vectorizer otherwise.
+export function getEmbeddingProvider() {
+  if (provider) return provider;
+
+  const name = process.env.EMBEDDING_PROVIDER || (process.env.HUGGINGFACE_TOKEN ? 'huggingface' : 'local');
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  provider = new Provider();
+  console.log(`🧮 Using ${provider.name} embeddings (${provider.dimensions} dimensions)`);
+  return provider;
+}
@@ -6,11 +6,15 @@ import fsPromises from 'fs/promises';
 import fs from 'fs';
 import path from 'path';
 
+// A glob that cannot be turned into a pattern, e.g. one with an unclosed "{"
+export class GlobError extends Error {}
+
 export class FileUtils {
   // Extract ZIP archive to output directory
   static async extractZip(zipPath: string, outDir: string): Promise<void> {
     await fsPromises.mkdir(outDir, { recursive: true });
-    await extract(zipPath, { dir: outDir });
+    // extract-zip only accepts absolute target directories
+    await extract(zipPath, { dir: path.resolve(outDir) });
   }
 
   // Delete a file
@@ -38,6 +42,81 @@ export class FileUtils {
     }
     return files;
   }
+
+  // Directories that never contain project source worth parsing or searching
+  static shouldSkipDirectory(name: string): boolean {
+    const skip = ['node_modules', '.git', '.next', '.nuxt', 'dist', 'build', 'coverage', '.cache'];
+    return skip.includes(name) || name.startsWith('.');
+  }
+
+  // Zips usually wrap everything in one top-level folder; treat that folder as the project root
+  static async resolveProjectRoot(extractedPath: string): Promise<string> {
+    const entries = await fsPromises.readdir(extractedPath, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return path.join(extractedPath, entries[0].name);
+    }
+    return extractedPath;
+  }
+
+  // Normalise a path to forward slashes so globs behave the same on every OS
+  static toPosixPath(filePath: string): string {
+    return filePath.split(path.sep).join('/');
+  }
+
+  // Convert a glob (supports **, *, ? and {a,b}) into an anchored RegExp
+  static globToRegExp(glob: string): RegExp {
+    let pattern = '';
+    let groups = 0; // open {...} groups, which may nest
+    for (let i = 0; i < glob.length; i++) {
+      const ch = glob[i];
+      if (ch === '*') {
+        if (glob[i + 1] === '*') {
+          // "**/" matches zero or more directories, a trailing "**" matches everything
+          if (glob[i + 2] === '/') {
+            pattern += '(?:.*/)?';
+            i += 2;
+          } else {
+            pattern += '.*';
+            i += 1;
+          }
+        } else {
+          pattern += '[^/]*';
+        }
+      } else if (ch === '?') {
+        pattern += '[^/]';
+      } else if (ch === '{') {
+        groups++;
+        pattern += '(?:';
+      } else if (ch === '}' && groups > 0) {
+        groups--;
+        pattern += ')';
+      } else if (ch === ',' && groups > 0) {
+        pattern += '|';
+      } else {
+        pattern += ch.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+      }
+    }
+    if (groups > 0) {
+      throw new GlobError(`Unclosed "{" in glob "${glob}"`);
+    }
+    return new RegExp(`^${pattern}$`);
+  }
+
+  // Test a project-relative path against a glob; globs without a slash also match the basename
+  static matchesGlob(relativePath: string, glob: string): boolean {
+    return FileUtils.globMatcher(glob)(relativePath);
+  }
+
+  // matchesGlob with the glob compiled once, for testing many paths against it
+  static globMatcher(glob: string): (relativePath: string) => boolean {
+    const regex = FileUtils.globToRegExp(glob);
+    const matchBasename = !glob.includes('/');
+    return relativePath => {
+      const posixPath = FileUtils.toPosixPath(relativePath);
+      return regex.test(posixPath) || (matchBasename && regex.test(path.posix.basename(posixPath)));
+    };
+  }
+
   // Determine file type by extension
   static getFileType(fileName: string): string {
     const ext = path.extname(fileName).toLowerCase();
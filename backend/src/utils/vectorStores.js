@@ -0,0 +1,252 @@
+import fs from 'fs/promises';
+import { QdrantClient } from '@qdrant/js-client-rest';
+import dotenv from 'dotenv';
+import { ProjectStore } from '../services/projectStore.js';
+
+dotenv.config();
+
+const QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
+const COLLECTION_NAME = process.env.QDRANT_COLLECTION || 'codebase_chunks';
+const LOCAL_VECTORS_FILE = 'vectors.json';
+
+// Every store keeps each project's vectors in its own namespace and implements:
+//   prepare(projectId, dimensions), listIds(projectId), upsert(projectId, points), delete(projectId, ids),
+//   search(projectId, vector, limit), clear(projectId), status().
+// Points are { id, vector, payload }; search results are { score, payload }.
+
+// Qdrant server, as started by docker-compose.yml. Each project gets its own collection.
+class QdrantVectorStore {
+  constructor() {
+    this.name = 'qdrant';
+    this.client = new QdrantClient({ url: QDRANT_URL });
+  }
+
+  async isAvailable() {
+    try {
+      await this.client.getCollections();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  collectionName(projectId) {
+    return `${COLLECTION_NAME}_${projectId}`;
+  }
+
+  async hasCollection(projectId) {
+    const { exists } = await this.client.collectionExists(this.collectionName(projectId));
+    return exists;
+  }
+
+  // Create the collection, or recreate it when the embedding provider's vector size changed
+  async prepare(projectId, dimensions) {
+    const collection = this.collectionName(projectId);
+    let collectionExists = await this.hasCollection(projectId);
+
+    // Vectors from a different provider cannot be compared, so rebuild the collection
+    if (collectionExists) {
+      const info = await this.client.getCollection(collection);
+      const size = info.config?.params?.vectors?.size;
+      if (size !== dimensions) {
+        console.log(`⚠️ Collection ${collection} has ${size}-dimensional vectors, expected ${dimensions}; recreating`);
+        await this.client.deleteCollection(collection);
+        collectionExists = false;
+      }
+    }
+
+    if (!collectionExists) {
+      await this.client.createCollection(collection, {
+        vectors: {
+          size: dimensions,
+          distance: 'Cosine',
+        },
+      });
+      console.log(`✅ Created Qdrant collection: ${collection}`);
+    }
+  }
+
+  async listIds(projectId) {
+    if (!(await this.hasCollection(projectId))) return [];
+
+    const ids = [];
+    let offset = undefined;
+    do {
+      const page = await this.client.scroll(this.collectionName(projectId), {
+        limit: 1000,
+        offset,
+        with_payload: false,
+        with_vector: false,
+      });
+      ids.push(...page.points.map(point => String(point.id)));
+      offset = page.next_page_offset ?? undefined;
+    } while (offset !== undefined);
+    return ids;
+  }
+
+  async upsert(projectId, points) {
+    if (points.length === 0) return;
+    await this.client.upsert(this.collectionName(projectId), {
+      wait: true,
+      points: points,
+    });
+  }
+
+  async delete(projectId, ids) {
+    if (ids.length === 0) return;
+    await this.client.delete(this.collectionName(projectId), {
+      wait: true,
+      points: ids,
+    });
+  }
+
+  async search(projectId, vector, limit) {
+    if (!(await this.hasCollection(projectId))) return [];
+
+    const results = await this.client.search(this.collectionName(projectId), {
+      vector: vector,
+      limit: limit,
+      with_payload: true,
+    });
+    return results.map(result => ({ score: result.score, payload: result.payload }));
+  }
+
+  async clear(projectId) {
+    if (await this.hasCollection(projectId)) {
+      await this.client.deleteCollection(this.collectionName(projectId));
+      console.log(`✅ Cleared collection: ${this.collectionName(projectId)}`);
+    }
+  }
+
+  async status() {
+    try {
+      const collections = await this.client.getCollections();
+      return {
+        store: this.name,
+        status: 'connected',
+        url: QDRANT_URL,
+        collection_prefix: `${COLLECTION_NAME}_`,
+        projects_indexed: collections.collections.filter(col => col.name.startsWith(`${COLLECTION_NAME}_`)).length,
+      };
+    } catch (error) {
+      return { store: this.name, status: 'unavailable', url: QDRANT_URL, details: error.message };
+    }
+  }
+}
+
+// Embedded store for machines without Docker: one JSON file per project, searched by brute-force cosine.
+// Fine for the few thousand chunks a typical upload produces.
+class LocalVectorStore {
+  constructor() {
+    this.name = 'local';
+    this.cache = new Map();
+  }
+
+  async load(projectId) {
+    if (this.cache.has(projectId)) return this.cache.get(projectId);
+    let points = [];
+    try {
+      const raw = await fs.readFile(ProjectStore.filePath(projectId, LOCAL_VECTORS_FILE), 'utf8');
+      points = JSON.parse(raw).points || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.cache.set(projectId, points);
+    return points;
+  }
+
+  async save(projectId, points) {
+    this.cache.set(projectId, points);
+    await fs.writeFile(ProjectStore.filePath(projectId, LOCAL_VECTORS_FILE), JSON.stringify({ points }));
+  }
+
+  // Drop vectors of a different size, e.g. after switching embedding providers
+  async prepare(projectId, dimensions) {
+    const points = await this.load(projectId);
+    if (points.some(point => point.vector.length !== dimensions)) {
+      console.log(`⚠️ Stored vectors for ${projectId} do not have ${dimensions} dimensions; discarding them`);
+      await this.save(projectId, []);
+    }
+  }
+
+  async listIds(projectId) {
+    const points = await this.load(projectId);
+    return points.map(point => point.id);
+  }
+
+  async upsert(projectId, points) {
+    const existing = await this.load(projectId);
+    const byId = new Map(existing.map(point => [point.id, point]));
+    for (const point of points) byId.set(point.id, point);
+    await this.save(projectId, Array.from(byId.values()));
+  }
+
+  async delete(projectId, ids) {
+    if (ids.length === 0) return;
+    const removed = new Set(ids);
+    const points = await this.load(projectId);
+    await this.save(projectId, points.filter(point => !removed.has(point.id)));
+  }
+
+  async search(projectId, vector, limit) {
+    const points = await this.load(projectId);
+    return points
+      .map(point => ({ score: cosineSimilarity(vector, point.vector), payload: point.payload }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async clear(projectId) {
+    this.cache.delete(projectId);
+    await fs.rm(ProjectStore.filePath(projectId, LOCAL_VECTORS_FILE), { force: true });
+  }
+
+  async status() {
+    return {
+      store: this.name,
+      status: 'ready',
+      file: ProjectStore.filePath('<project-id>', LOCAL_VECTORS_FILE),
+    };
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+let storePromise = null;
+
+// VECTOR_STORE=qdrant|local|auto. "auto" (the default) uses Qdrant when it answers and the
+// embedded store otherwise, so Q&A also works on a laptop without Docker.
+export function getVectorStore() {
+  if (storePromise) return storePromise;
+
+  storePromise = (async () => {
+    const mode = process.env.VECTOR_STORE || 'auto';
+    if (mode === 'qdrant') return new QdrantVectorStore();
+    if (mode === 'local') return new LocalVectorStore();
+    if (mode !== 'auto') {
+      throw new Error(`Unknown VECTOR_STORE "${mode}". Use one of: qdrant, local, auto`);
+    }
+
+    const qdrant = new QdrantVectorStore();
+    if (await qdrant.isAvailable()) {
+      console.log(`🗄️ Using Qdrant vector store at ${QDRANT_URL}`);
+      return qdrant;
+    }
+    console.log(`🗄️ Qdrant not reachable at ${QDRANT_URL}, using embedded vector store`);
+    return new LocalVectorStore();
+  })();
+
+  // Let the next call retry if selection itself failed
+  storePromise.catch(() => { storePromise = null; });
+  return storePromise;
+}
@@ -1,19 +1,47 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import axios from 'axios';
 import { UploadPage } from './components/UploadPage';
 import { ExplorerPage } from './components/ExplorerPage';
 import { ProjectData } from './types';
 import { useTheme } from './hooks/useTheme';
+import { NavigationProvider } from './hooks/useNavigation';
+
+// Remember the open project so a page reload brings it back
+const LAST_PROJECT_KEY = 'monomax:lastProjectId';
 
 function App() {
   const [projectData, setProjectData] = useState<ProjectData | null>(null);
+  const [isRestoring, setIsRestoring] = useState(() => !!localStorage.getItem(LAST_PROJECT_KEY));
   const { theme } = useTheme();
 
+  const openProject = async (projectId: string) => {
+    try {
+      const response = await axios.get(`http://localhost:3001/api/projects/${encodeURIComponent(projectId)}`);
+      setProjectData(response.data);
+      localStorage.setItem(LAST_PROJECT_KEY, projectId);
+    } catch (error) {
+      console.error('Error opening project:', error);
+      localStorage.removeItem(LAST_PROJECT_KEY);
+      throw error;
+    }
+  };
+
+  useEffect(() => {
+    const lastProjectId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (!lastProjectId) return;
+    openProject(lastProjectId)
+      .catch(() => {})
+      .finally(() => setIsRestoring(false));
+  }, []);
+
   const handleUploadComplete = (data: ProjectData) => {
     setProjectData(data);
+    localStorage.setItem(LAST_PROJECT_KEY, data.projectId);
   };
 
   const handleReset = () => {
     setProjectData(null);
+    localStorage.removeItem(LAST_PROJECT_KEY);
   };
 
   return (
@@ -23,12 +51,17 @@ function App() {
         : 'bg-gray-50 text-gray-900'
     }`}>
       {projectData ? (
-        <ExplorerPage
-          projectData={projectData}
-          onReset={handleReset}
+        <NavigationProvider key={projectData.projectId}>
+          <ExplorerPage
+            projectData={projectData}
+            onReset={handleReset}
+          />
+        </NavigationProvider>
+      ) : isRestoring ? null : (
+        <UploadPage
+          onUploadComplete={handleUploadComplete}
+          onOpenProject={openProject}
         />
-      ) : (
-        <UploadPage onUploadComplete={handleUploadComplete} />
       )}
     </div>
   );
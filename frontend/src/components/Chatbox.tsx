@@ -1,8 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User, Loader2, AlertCircle, FileText, ExternalLink } from 'lucide-react';
-import axios from 'axios';
+import { Send, Bot, User, Loader2, AlertCircle, FileText, ExternalLink, Square } from 'lucide-react';
 import { useTheme } from '../hooks/useTheme';
-import { ProjectData, FileNode } from '../types';
+import { useNavigation } from '../hooks/useNavigation';
+import { ProjectData, FileNode, EditorSelection } from '../types';
 
 interface Message {
   id: string;
@@ -12,26 +12,47 @@ interface Message {
   sources?: Array<{
     file: string;
     line: number;
+    endLine?: number;
     score: number;
     preview: string;
   }>;
   confidence?: number;
+  isStreaming?: boolean;
 }
 
+// Split a Server-Sent Events frame into its event name and JSON payload
+const parseSseFrame = (frame: string) => {
+  let event = 'message';
+  let data = '';
+  for (const line of frame.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+  return { event, data: data ? JSON.parse(data) : {} };
+};
+
 interface ChatboxProps {
   isOpen: boolean;
   onClose: () => void;
   projectData: ProjectData;
   selectedFile: FileNode | undefined;
   fileContent: string;
+  selection: EditorSelection | null;
 }
 
+// How many earlier messages are sent along so follow-up questions can be understood
+const HISTORY_MESSAGES = 6;
+// The server keeps no more of the open file or selection than this (MAX_EDITOR_CONTEXT_LENGTH in
+// routes/ask.ts); sending a whole large file would also exceed its JSON body limit
+const MAX_EDITOR_CONTEXT_LENGTH = 6000;
+
 export const Chatbox: React.FC<ChatboxProps> = ({ 
   isOpen, 
   onClose, 
   projectData, 
   selectedFile, 
-  fileContent 
+  fileContent,
+  selection
 }) => {
   const [messages, setMessages] = useState<Message[]>([]);
   const [inputValue, setInputValue] = useState('');
@@ -39,7 +60,9 @@ export const Chatbox: React.FC<ChatboxProps> = ({
   const [error, setError] = useState<string | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLInputElement>(null);
+  const abortRef = useRef<AbortController | null>(null);
   const { theme } = useTheme();
+  const { navigate } = useNavigation();
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -53,6 +76,9 @@ export const Chatbox: React.FC<ChatboxProps> = ({
     }
   }, [isOpen]);
 
+  // Stop a running answer when the chat unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   // Add welcome message on first load
   useEffect(() => {
     if (messages.length === 0) {
@@ -76,52 +102,115 @@ export const Chatbox: React.FC<ChatboxProps> = ({
       timestamp: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Earlier exchanges (minus the greeting, errors and unfinished answers) plus what is open in the editor
+    const history = messages
+      .filter(m => m.id !== 'welcome' && !m.isStreaming && !m.content.startsWith('❌'))
+      .slice(-HISTORY_MESSAGES)
+      .map(m => ({ role: m.type, content: m.content }));
+    const context = selectedFile
+      ? {
+          file: selectedFile.path,
+          selection: selection ? { ...selection, text: selection.text.slice(0, MAX_EDITOR_CONTEXT_LENGTH) } : undefined,
+          content: selection ? undefined : fileContent.slice(0, MAX_EDITOR_CONTEXT_LENGTH),
+        }
+      : undefined;
+
+    const assistantId = (Date.now() + 1).toString();
+    const updateAssistant = (update: (message: Message) => Partial<Message>) => {
+      setMessages(prev => prev.map(m => m.id === assistantId ? { ...m, ...update(m) } : m));
+    };
+
+    setMessages(prev => [...prev, userMessage, {
+      id: assistantId,
+      type: 'assistant',
+      content: '',
+      timestamp: new Date(),
+      isStreaming: true
+    }]);
     setInputValue('');
     setIsLoading(true);
     setError(null);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    // Stream the answer: sources arrive first, then answer tokens, then the confidence
     try {
-      const response = await axios.post('http://localhost:3001/api/ask', {
-        question: userMessage.content
+      const response = await fetch('http://localhost:3001/api/ask/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          question: userMessage.content,
+          projectId: projectData.projectId,
+          history,
+          context
+        }),
+        signal: controller.signal
       });
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Request failed (${response.status})`);
+      }
 
-      const assistantMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        type: 'assistant',
-        content: response.data.answer,
-        timestamp: new Date(),
-        sources: response.data.sources,
-        confidence: response.data.confidence
-      };
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop() || '';
 
-      setMessages(prev => [...prev, assistantMessage]);
+        for (const frame of frames) {
+          if (!frame.trim()) continue;
+          const { event, data } = parseSseFrame(frame);
+          if (event === 'sources') {
+            updateAssistant(() => ({ sources: data.sources }));
+          } else if (event === 'token') {
+            updateAssistant(m => ({ content: m.content + data.text }));
+          } else if (event === 'done') {
+            updateAssistant(() => ({ confidence: data.confidence }));
+          } else if (event === 'error') {
+            throw new Error(data.error);
+          }
+        }
+      }
+      updateAssistant(() => ({ isStreaming: false, timestamp: new Date() }));
     } catch (error: any) {
+      if (error.name === 'AbortError') {
+        updateAssistant(m => ({ content: m.content ? `${m.content}\n\n⏹️ Stopped.` : '⏹️ Stopped.', isStreaming: false }));
+        return;
+      }
+
       console.error('Error asking question:', error);
-      
-      let errorMessage = 'Sorry, I encountered an error while processing your question.';
-      
-      if (error.response?.data?.error) {
-        errorMessage = error.response.data.error;
-      } else if (error.message.includes('Network Error')) {
+
+      let errorMessage = error.message || 'Sorry, I encountered an error while processing your question.';
+      if (error instanceof TypeError) {
         errorMessage = 'Unable to connect to the AI service. Please check if the server is running.';
       }
 
       setError(errorMessage);
-      
-      const errorAssistantMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        type: 'assistant',
-        content: `❌ ${errorMessage}`,
-        timestamp: new Date()
-      };
-
-      setMessages(prev => [...prev, errorAssistantMessage]);
+      updateAssistant(m => ({
+        content: m.content ? `${m.content}\n\n❌ ${errorMessage}` : `❌ ${errorMessage}`,
+        isStreaming: false
+      }));
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setIsLoading(false);
     }
   };
 
+  // Show a cited source in the code viewer
+  const openSource = (source: NonNullable<Message['sources']>[number]) => {
+    navigate({ file: source.file, line: source.line, endLine: source.endLine });
+    onClose();
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -130,6 +219,7 @@ export const Chatbox: React.FC<ChatboxProps> = ({
   };
 
   const clearChat = () => {
+    abortRef.current?.abort();
     setMessages([{
       id: 'welcome',
       type: 'assistant',
@@ -232,9 +322,23 @@ export const Chatbox: React.FC<ChatboxProps> = ({
                     ? theme === 'dark' ? 'bg-blue-600 text-white' : 'bg-blue-500 text-white'
                     : theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-gray-100 text-gray-900'
                 }`}>
-                  <div className="whitespace-pre-wrap text-sm leading-relaxed">
-                    {message.content}
-                  </div>
+                  {message.isStreaming && !message.content ? (
+                    <div className="flex items-center space-x-2">
+                      <Loader2 className={`w-4 h-4 animate-spin ${
+                        theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                      }`} />
+                      <span className={`text-sm ${
+                        theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                      }`}>
+                        Thinking...
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="whitespace-pre-wrap text-sm leading-relaxed">
+                      {message.content}
+                      {message.isStreaming && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-current opacity-60 animate-pulse" />}
+                    </div>
+                  )}
                   
                   {/* Sources */}
                   {message.sources && message.sources.length > 0 && (
@@ -244,28 +348,37 @@ export const Chatbox: React.FC<ChatboxProps> = ({
                       </div>
                       <div className="space-y-2">
                         {message.sources.map((source, index) => (
-                          <div key={index} className={`p-2 rounded-lg text-xs ${
-                            theme === 'dark' ? 'bg-gray-800/50' : 'bg-white/50'
-                          }`}>
+                          <button
+                            key={index}
+                            type="button"
+                            onClick={() => openSource(source)}
+                            title={`Open ${source.file}`}
+                            className={`block w-full text-left p-2 rounded-lg text-xs transition-colors ${
+                              theme === 'dark' ? 'bg-gray-800/50 hover:bg-gray-800' : 'bg-white/50 hover:bg-white'
+                            }`}
+                          >
                             <div className="flex items-center justify-between mb-1">
-                              <span className="font-mono font-medium">
+                              <span className="font-mono font-medium flex items-center">
                                 {source.file.split('/').pop()}
+                                <ExternalLink className="w-3 h-3 ml-1 opacity-60" />
                               </span>
                               <span className="opacity-60">
-                                Line {source.line}
+                                {source.endLine && source.endLine !== source.line
+                                  ? `Lines ${source.line}-${source.endLine}`
+                                  : `Line ${source.line}`}
                               </span>
                             </div>
                             <div className="opacity-75 truncate">
                               {source.preview}
                             </div>
-                          </div>
+                          </button>
                         ))}
                       </div>
                     </div>
                   )}
                   
                   {/* Confidence Score */}
-                  {message.confidence !== undefined && (
+                  {message.confidence !== undefined && !message.isStreaming && (
                     <div className="mt-2 text-xs opacity-60">
                       Confidence: {Math.round(message.confidence * 100)}%
                     </div>
@@ -280,35 +393,6 @@ export const Chatbox: React.FC<ChatboxProps> = ({
             </div>
           ))}
           
-          {/* Loading indicator */}
-          {isLoading && (
-            <div className="flex justify-start">
-              <div className="flex items-start space-x-3">
-                <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
-                  theme === 'dark' ? 'bg-gray-700' : 'bg-gray-200'
-                }`}>
-                  <Bot className={`w-4 h-4 ${
-                    theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
-                  }`} />
-                </div>
-                <div className={`rounded-2xl px-4 py-3 ${
-                  theme === 'dark' ? 'bg-gray-700' : 'bg-gray-100'
-                }`}>
-                  <div className="flex items-center space-x-2">
-                    <Loader2 className={`w-4 h-4 animate-spin ${
-                      theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-                    }`} />
-                    <span className={`text-sm ${
-                      theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-                    }`}>
-                      Thinking...
-                    </span>
-                  </div>
-                </div>
-              </div>
-            </div>
-          )}
-          
           <div ref={messagesEndRef} />
         </div>
 
@@ -330,6 +414,17 @@ export const Chatbox: React.FC<ChatboxProps> = ({
         <div className={`p-6 border-t ${
           theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
         }`}>
+          {selectedFile && (
+            <div className={`mb-3 inline-flex items-center space-x-2 px-2 py-1 rounded-lg text-xs ${
+              theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+            }`}>
+              <FileText className="w-3 h-3" />
+              <span>
+                Context: <span className="font-mono">{selectedFile.name}</span>
+                {selection && ` (lines ${selection.startLine}-${selection.endLine})`}
+              </span>
+            </div>
+          )}
           <form onSubmit={handleSubmit} className="flex space-x-3">
             <input
               ref={inputRef}
@@ -345,26 +440,37 @@ export const Chatbox: React.FC<ChatboxProps> = ({
                   : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
               } focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50`}
             />
-            <button
-              type="submit"
-              disabled={!inputValue.trim() || isLoading}
-              className={`px-6 py-3 rounded-xl font-medium transition-all duration-200 flex items-center space-x-2 ${
-                !inputValue.trim() || isLoading
-                  ? theme === 'dark' 
-                    ? 'bg-gray-700 text-gray-500 cursor-not-allowed' 
-                    : 'bg-gray-200 text-gray-400 cursor-not-allowed'
-                  : theme === 'dark'
-                    ? 'bg-blue-600 hover:bg-blue-700 text-white hover:scale-105'
-                    : 'bg-blue-500 hover:bg-blue-600 text-white hover:scale-105'
-              }`}
-            >
-              {isLoading ? (
-                <Loader2 className="w-4 h-4 animate-spin" />
-              ) : (
+            {isLoading ? (
+              <button
+                type="button"
+                onClick={handleCancel}
+                className={`px-6 py-3 rounded-xl font-medium transition-all duration-200 flex items-center space-x-2 ${
+                  theme === 'dark'
+                    ? 'bg-red-600 hover:bg-red-700 text-white'
+                    : 'bg-red-500 hover:bg-red-600 text-white'
+                }`}
+              >
+                <Square className="w-4 h-4" />
+                <span>Stop</span>
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputValue.trim()}
+                className={`px-6 py-3 rounded-xl font-medium transition-all duration-200 flex items-center space-x-2 ${
+                  !inputValue.trim()
+                    ? theme === 'dark' 
+                      ? 'bg-gray-700 text-gray-500 cursor-not-allowed' 
+                      : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                    : theme === 'dark'
+                      ? 'bg-blue-600 hover:bg-blue-700 text-white hover:scale-105'
+                      : 'bg-blue-500 hover:bg-blue-600 text-white hover:scale-105'
+                }`}
+              >
                 <Send className="w-4 h-4" />
-              )}
-              <span>Send</span>
-            </button>
+                <span>Send</span>
+              </button>
+            )}
           </form>
           
           <div className={`mt-2 text-xs ${
@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Search, CaseSensitive, WholeWord, Regex, Loader2, FileText } from 'lucide-react';
+import { TextSearchMatch, TextSearchSummary } from '../types';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+interface CodeSearchPanelProps {
+  projectId: string;
+}
+
+export const CodeSearchPanel: React.FC<CodeSearchPanelProps> = ({ projectId }) => {
+  const [query, setQuery] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [useRegex, setUseRegex] = useState(false);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [matches, setMatches] = useState<TextSearchMatch[]>([]);
+  const [summary, setSummary] = useState<TextSearchSummary | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+
+  // Stream newline-delimited JSON results so hits show up while large repos are still being searched
+  const runSearch = async () => {
+    abortRef.current?.abort();
+    setMatches([]);
+    setSummary(null);
+    setError(null);
+    if (!query) {
+      setIsSearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsSearching(true);
+
+    const params = new URLSearchParams({
+      q: query,
+      project: projectId,
+      regex: String(useRegex),
+      caseSensitive: String(caseSensitive),
+      wholeWord: String(wholeWord),
+      include,
+      exclude,
+      context: '1',
+      limit: '2000',
+      stream: '1',
+    });
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/search/text?${params}`, { signal: controller.signal });
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Search failed (${response.status})`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        const batch: TextSearchMatch[] = [];
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const event = JSON.parse(line);
+          if (event.type === 'match') batch.push(event);
+          else if (event.type === 'done') setSummary(event);
+          else if (event.type === 'error') setError(event.error);
+        }
+        if (batch.length > 0) setMatches(prev => [...prev, ...batch]);
+      }
+    } catch (err: any) {
+      if (err.name !== 'AbortError') {
+        console.error('Text search error:', err);
+        setError(err.message);
+      }
+    } finally {
+      if (abortRef.current === controller) setIsSearching(false);
+    }
+  };
+
+  useEffect(() => {
+    const debounceTimer = setTimeout(runSearch, 400);
+    return () => clearTimeout(debounceTimer);
+  }, [query, caseSensitive, wholeWord, useRegex, include, exclude, projectId]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const groupedMatches = matches.reduce((acc, match) => {
+    (acc[match.relativePath] ||= []).push(match);
+    return acc;
+  }, {} as Record<string, TextSearchMatch[]>);
+
+  const toggleClass = (active: boolean) => `p-1.5 rounded-md transition-colors ${
+    active
+      ? theme === 'dark' ? 'bg-blue-600 text-white' : 'bg-blue-500 text-white'
+      : theme === 'dark' ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'
+  }`;
+
+  const inputClass = `w-full px-3 py-1.5 text-sm border rounded-lg transition-colors duration-200 ${
+    theme === 'dark'
+      ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500'
+      : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
+  } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+  const renderHighlighted = (match: TextSearchMatch) => {
+    const start = match.column - 1;
+    return (
+      <>
+        {match.text.slice(0, start)}
+        <mark className={theme === 'dark' ? 'bg-yellow-600/60 text-white' : 'bg-yellow-200'}>
+          {match.text.slice(start, start + match.length)}
+        </mark>
+        {match.text.slice(start + match.length)}
+      </>
+    );
+  };
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={`p-4 border-b space-y-2 ${
+        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+      }`}>
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Find in files..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className={`${inputClass} pl-9 pr-24`}
+          />
+          <div className="absolute right-1 top-1/2 transform -translate-y-1/2 flex space-x-0.5">
+            <button title="Match case" onClick={() => setCaseSensitive(!caseSensitive)} className={toggleClass(caseSensitive)}>
+              <CaseSensitive className="w-4 h-4" />
+            </button>
+            <button title="Match whole word" onClick={() => setWholeWord(!wholeWord)} className={toggleClass(wholeWord)}>
+              <WholeWord className="w-4 h-4" />
+            </button>
+            <button title="Use regular expression" onClick={() => setUseRegex(!useRegex)} className={toggleClass(useRegex)}>
+              <Regex className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        <input
+          type="text"
+          placeholder="Files to include (e.g. src/**, *.ts)"
+          value={include}
+          onChange={(e) => setInclude(e.target.value)}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          placeholder="Files to exclude (e.g. **/*.test.ts)"
+          value={exclude}
+          onChange={(e) => setExclude(e.target.value)}
+          className={inputClass}
+        />
+        <div className={`flex items-center space-x-2 text-xs ${
+          theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+        }`}>
+          {isSearching && <Loader2 className="w-3 h-3 animate-spin" />}
+          <span>
+            {error
+              ? error
+              : summary
+                ? `${summary.totalMatches} results in ${summary.filesMatched} files${summary.timedOut ? ' (some files skipped: the pattern is too slow)' : summary.truncated ? ' (limit reached)' : ''}`
+                : isSearching ? `${matches.length} results so far...` : ''}
+          </span>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        <div className="p-2 space-y-3">
+          {Object.entries(groupedMatches).map(([relativePath, fileMatches]) => (
+            <div key={relativePath}>
+              <div className={`flex items-center space-x-2 px-2 py-1 text-sm font-medium ${
+                theme === 'dark' ? 'text-white' : 'text-gray-900'
+              }`} title={relativePath}>
+                <FileText className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                <span className="truncate">{relativePath}</span>
+                <span className={`text-xs px-1.5 rounded-full ${
+                  theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+                }`}>
+                  {fileMatches.length}
+                </span>
+              </div>
+              {fileMatches.map((match, index) => (
+                <div
+                  key={`${match.line}:${match.column}:${index}`}
+                  onClick={() => navigate({ file: match.file, line: match.line, column: match.column })}
+                  className={`ml-4 px-2 py-1 rounded cursor-pointer font-mono text-xs transition-colors ${
+                    theme === 'dark' ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {match.before.map((line, i) => (
+                    <div key={`b${i}`} className="truncate opacity-50">{line || ' '}</div>
+                  ))}
+                  <div className="truncate">
+                    <span className="opacity-50 mr-2">{match.line}</span>
+                    {renderHighlighted(match)}
+                  </div>
+                  {match.after.map((line, i) => (
+                    <div key={`a${i}`} className="truncate opacity-50">{line || ' '}</div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,21 +1,95 @@
-import React, { useEffect, useState } from 'react';
-import Editor from '@monaco-editor/react';
-import { FileNode } from '../types';
+import React, { useEffect, useRef, useState } from 'react';
+import Editor, { Monaco, OnMount } from '@monaco-editor/react';
+import { EditorSelection, EditorTarget, FileNode } from '../types';
 import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+import { registerLanguageFeatures, setLanguageFeaturesContext, trackModelFile } from '../utils/languageFeatures';
+
+type MonacoEditor = Parameters<OnMount>[0];
 
 interface CodeViewerProps {
+  projectId: string;
   selectedFile?: FileNode;
   fileContent?: string;
+  target?: EditorTarget;
+  onSelectionChange?: (selection: EditorSelection | null) => void;
+  onCursorChange?: (line: number) => void;
 }
 
-export const CodeViewer: React.FC<CodeViewerProps> = ({ selectedFile, fileContent }) => {
+export const CodeViewer: React.FC<CodeViewerProps> = ({ projectId, selectedFile, fileContent, target, onSelectionChange, onCursorChange }) => {
   const { theme } = useTheme();
+  const { navigate } = useNavigation();
   const [editorTheme, setEditorTheme] = useState('vs');
+  const editorRef = useRef<MonacoEditor | null>(null);
+  const monacoRef = useRef<Monaco | null>(null);
+  const highlightRef = useRef<ReturnType<MonacoEditor['createDecorationsCollection']> | null>(null);
 
   useEffect(() => {
     setEditorTheme(theme === 'dark' ? 'vs-dark' : 'vs');
   }, [theme]);
 
+  // Scroll to the target, put the cursor there and highlight its line range until the next navigation
+  const revealTarget = (editor: MonacoEditor) => {
+    highlightRef.current?.clear();
+    if (!target) return;
+    const column = target.column || 1;
+    const endLine = Math.max(target.endLine || target.line, target.line);
+    editor.revealLinesInCenter(target.line, endLine);
+    editor.setPosition({ lineNumber: target.line, column });
+    highlightRef.current = editor.createDecorationsCollection([{
+      range: {
+        startLineNumber: target.line,
+        startColumn: 1,
+        endLineNumber: endLine,
+        endColumn: 1,
+      },
+      options: {
+        isWholeLine: true,
+        className: 'editor-target-line',
+        linesDecorationsClassName: 'editor-target-gutter',
+      },
+    }]);
+  };
+
+  useEffect(() => {
+    if (editorRef.current) revealTarget(editorRef.current);
+  }, [target, fileContent]);
+
+  const selectionCallbackRef = useRef(onSelectionChange);
+  selectionCallbackRef.current = onSelectionChange;
+  const cursorCallbackRef = useRef(onCursorChange);
+  cursorCallbackRef.current = onCursorChange;
+
+  // Definition/reference lookups need the project and the file behind each editor model
+  useEffect(() => {
+    setLanguageFeaturesContext(projectId, navigate);
+  }, [projectId, navigate]);
+
+  useEffect(() => {
+    if (monacoRef.current && selectedFile) trackModelFile(monacoRef.current, selectedFile.path);
+  }, [selectedFile]);
+
+  const handleEditorMount: OnMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    registerLanguageFeatures(monaco);
+    if (selectedFile) trackModelFile(monaco, selectedFile.path);
+    revealTarget(editor);
+
+    // Report non-empty selections so other panels (e.g. Ask AI) can use them as context
+    editor.onDidChangeCursorSelection(({ selection }) => {
+      const text = selection.isEmpty() ? '' : editor.getModel()?.getValueInRange(selection) || '';
+      selectionCallbackRef.current?.(text.trim()
+        ? { startLine: selection.startLineNumber, endLine: selection.endLineNumber, text }
+        : null);
+    });
+
+    // The outline follows the cursor
+    editor.onDidChangeCursorPosition(({ position }) => {
+      cursorCallbackRef.current?.(position.lineNumber);
+    });
+  };
+
   const getLanguage = (fileName: string) => {
     const ext = fileName.split('.').pop()?.toLowerCase();
     switch (ext) {
@@ -113,9 +187,11 @@ export const CodeViewer: React.FC<CodeViewerProps> = ({ selectedFile, fileConten
       <div className="flex-1">
         <Editor
           height="100%"
+          path={selectedFile.path}
           language={language}
           theme={editorTheme}
           value={fileContent || '// Loading...'}
+          onMount={handleEditorMount}
           options={{
             readOnly: true,
             minimap: { enabled: false },
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Trash2, Loader2, FileText, Code, Package, LogIn, Upload } from 'lucide-react';
+import { DeadCodeReport } from '../types';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+interface DeadCodePanelProps {
+  projectId: string;
+}
+
+interface Row {
+  key: string;
+  label: string;
+  detail?: string;
+  title?: string;
+  file?: string;
+  line?: number;
+}
+
+const ENTRY_REASONS: Record<DeadCodeReport['entryPoints'][number]['reason'], string> = {
+  package: 'package.json main/exports',
+  bin: 'package.json bin',
+  script: 'package.json script',
+  html: 'index.html script',
+  convention: 'framework convention',
+  configured: 'entry glob',
+  unimported: 'not imported anywhere',
+};
+
+// Dead code report: exports nothing imports, functions nothing calls, files unreachable from the
+// entry points and unused package.json dependencies. Extra entry points can be given as globs.
+export const DeadCodePanel: React.FC<DeadCodePanelProps> = ({ projectId }) => {
+  const [entries, setEntries] = useState('');
+  const [report, setReport] = useState<DeadCodeReport | null>(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [collapsed, setCollapsed] = useState<Record<string, boolean>>({ entries: true });
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+
+  const analyze = useCallback(async (globs: string) => {
+    setIsAnalyzing(true);
+    setError(null);
+    try {
+      const query = globs.trim() ? `?entries=${encodeURIComponent(globs.trim())}` : '';
+      const response = await fetch(`http://localhost:3001/api/projects/${encodeURIComponent(projectId)}/dead-code${query}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Dead code analysis failed (${response.status})`);
+      setReport(data.report);
+    } catch (err: any) {
+      console.error('Dead code analysis error:', err);
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    analyze('');
+  }, [analyze]);
+
+  const inputClass = `flex-1 min-w-0 px-3 py-1.5 text-sm border rounded-lg transition-colors duration-200 ${
+    theme === 'dark'
+      ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500'
+      : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
+  } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+  const section = (id: string, title: string, icon: React.ReactNode, rows: Row[]) => (
+    <div key={id}>
+      <button
+        onClick={() => setCollapsed(prev => ({ ...prev, [id]: !prev[id] }))}
+        className={`w-full flex items-center px-2 py-1 text-sm font-medium rounded transition-colors ${
+          theme === 'dark' ? 'text-white hover:bg-gray-700' : 'text-gray-900 hover:bg-gray-100'
+        }`}
+      >
+        {icon}
+        <span className="ml-2">{title}</span>
+        <span className={`ml-2 text-xs px-1.5 rounded-full ${
+          rows.length === 0
+            ? theme === 'dark' ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-700'
+            : theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+        }`}>
+          {rows.length}
+        </span>
+      </button>
+      {!collapsed[id] && rows.map(row => (
+        <div
+          key={row.key}
+          onClick={() => row.file && navigate(row.line ? { file: row.file, line: row.line } : { file: row.file })}
+          title={row.title}
+          className={`ml-4 px-2 py-1 rounded flex items-center space-x-2 text-xs transition-colors ${
+            row.file ? 'cursor-pointer' : ''
+          } ${
+            theme === 'dark' ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          <span className="truncate font-mono">{row.label}</span>
+          {row.detail && <span className="truncate opacity-50">{row.detail}</span>}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={`p-4 border-b space-y-2 ${
+        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+      }`}>
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            placeholder="Extra entry points, e.g. scripts/**"
+            value={entries}
+            onChange={(e) => setEntries(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && analyze(entries)}
+            className={inputClass}
+          />
+          <button
+            onClick={() => analyze(entries)}
+            disabled={isAnalyzing}
+            className="flex items-center px-3 py-1.5 text-xs rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isAnalyzing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Trash2 className="w-4 h-4 mr-1" />}
+            Scan
+          </button>
+        </div>
+        {error && (
+          <p className={`text-xs ${theme === 'dark' ? 'text-red-400' : 'text-red-600'}`}>{error}</p>
+        )}
+        {report && report.entryPoints.length === 0 && (
+          <p className={`text-xs ${theme === 'dark' ? 'text-yellow-400' : 'text-yellow-700'}`}>
+            No entry points found, so every file counts as unreachable. Add globs for the files that start the app.
+          </p>
+        )}
+        {report && report.entryPoints.some(entry => entry.reason === 'unimported') && (
+          <p className={`text-xs ${theme === 'dark' ? 'text-yellow-400' : 'text-yellow-700'}`}>
+            No package.json entry points found, so files nothing imports are used as entry points. Add globs
+            for the files that start the app for a stricter report.
+          </p>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {report && (
+          <div className="p-2 space-y-3">
+            {section('exports', 'Unused exports', <Upload className="w-4 h-4 text-gray-400" />, report.unusedExports.map(item => ({
+              key: `${item.filename}#${item.name}`,
+              label: item.name,
+              detail: `${item.relativePath}:${item.line}`,
+              file: item.filename,
+              line: item.line,
+            })))}
+            {section('functions', 'Functions without callers', <Code className="w-4 h-4 text-gray-400" />, report.uncalledFunctions.map(item => ({
+              key: item.id,
+              label: item.name,
+              detail: `${item.relativePath}:${item.line}`,
+              file: item.filename,
+              line: item.line,
+            })))}
+            {section('files', 'Unreachable files', <FileText className="w-4 h-4 text-gray-400" />, report.unreachableFiles.map(item => ({
+              key: item.filename,
+              label: item.relativePath,
+              file: item.filename,
+            })))}
+            {section('dependencies', 'Unused dependencies', <Package className="w-4 h-4 text-gray-400" />, report.unusedDependencies.map(item => ({
+              key: `${item.package}\0${item.name}`,
+              label: item.name,
+              detail: `${item.dev ? 'dev · ' : ''}${item.manifest}`,
+              title: item.dev ? 'devDependencies are often used by tools rather than imported' : undefined,
+            })))}
+            {section('entries', 'Entry points', <LogIn className="w-4 h-4 text-gray-400" />, report.entryPoints.map(item => ({
+              key: item.filename,
+              label: item.relativePath,
+              detail: ENTRY_REASONS[item.reason],
+              file: item.filename,
+            })))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,13 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { Search, RotateCcw, FolderOpen, Code, Users, Clock, GitBranch, MessageCircle } from 'lucide-react';
+import { Search, RotateCcw, FolderOpen, Code, Users, Clock, GitBranch, MessageCircle, FileSearch, ArrowLeft, ArrowRight, Package, Zap, Trash2 } from 'lucide-react';
 import { FileTree } from './FileTree';
 import { CodeViewer } from './CodeViewer';
 import { FunctionList } from './FunctionList';
 import RippleGraph from './RippleGraph';
 import { ThemeToggle } from './ThemeToggle';
 import { Chatbox } from './Chatbox';
-import { ProjectData, FileNode, CodeSymbol, SearchResult } from '../types';
+import { CodeSearchPanel } from './CodeSearchPanel';
+import { PackagePanel } from './PackagePanel';
+import { ImpactPanel } from './ImpactPanel';
+import { DeadCodePanel } from './DeadCodePanel';
+import { PackageGraph } from './PackageGraph';
+import { ProjectData, FileNode, CodeSymbol, SearchResult, EditorTarget, EditorSelection } from '../types';
 import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
 import axios from 'axios';
 
 interface ExplorerPageProps {
@@ -15,48 +21,107 @@ interface ExplorerPageProps {
   onReset: () => void;
 }
 
+// Locate a file node anywhere in the tree by its path
+const findFileNode = (nodes: FileNode[], filePath: string): FileNode | undefined => {
+  for (const node of nodes) {
+    if (node.type === 'file' && node.path === filePath) return node;
+    if (node.children) {
+      const found = findFileNode(node.children, filePath);
+      if (found) return found;
+    }
+  }
+  return undefined;
+};
+
 export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset }) => {
   const [selectedFile, setSelectedFile] = useState<FileNode | undefined>();
   const [fileContent, setFileContent] = useState<string>('');
   const [currentSymbols, setCurrentSymbols] = useState<CodeSymbol[]>([]);
+  const [editorTarget, setEditorTarget] = useState<EditorTarget | undefined>();
+  const [editorSelection, setEditorSelection] = useState<EditorSelection | null>(null);
+  const [cursorLine, setCursorLine] = useState<number | undefined>();
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
   const [activeTab, setActiveTab] = useState<'explorer' | 'graph'>('explorer');
+  const [sidePanel, setSidePanel] = useState<'symbols' | 'find' | 'impact' | 'dead-code' | 'packages'>('symbols');
+  const [graphLevel, setGraphLevel] = useState<'files' | 'packages'>('files');
   const [, setIsSearching] = useState(false);
   const [isChatOpen, setIsChatOpen] = useState(false);
   const { theme } = useTheme();
+  const { current, navigate, goBack, goForward, canGoBack, canGoForward } = useNavigation();
   // Unwrap single root folder for file tree and search lookup
   const fileTreeData =
     projectData.files.length === 1 && projectData.files[0].type === 'folder'
       ? projectData.files[0].children || []
       : projectData.files;
+  // Package views only make sense for monorepos
+  const workspace = projectData.workspace;
+  const isMonorepo = !!workspace && workspace.packages.length > 1;
 
-  const handleFileSelect = async (file: FileNode) => {
-    if (file.type === 'file') {
-      setSelectedFile(file);
-      
-      // Find parsed file data
-      const parsedFile = projectData.parsedFiles.find(pf => pf.path === file.path);
-      if (parsedFile) {
-        setFileContent(parsedFile.content);
-        setCurrentSymbols(parsedFile.symbols);
-      } else {
-        try {
-          const response = await axios.get(`http://localhost:3001/api/file-content?path=${encodeURIComponent(file.path)}`);
-          setFileContent(response.data.content);
-          setCurrentSymbols(response.data.symbols || []);
-        } catch (error) {
-          console.error('Error fetching file content:', error);
-          setFileContent('// Error loading file content');
-          setCurrentSymbols([]);
-        }
+  // Load a file's content and symbols into the viewer
+  const openFile = async (file: FileNode) => {
+    setSelectedFile(file);
+    setEditorSelection(null);
+    setCursorLine(undefined);
+
+    // Find parsed file data
+    const parsedFile = projectData.parsedFiles.find(pf => pf.path === file.path);
+    if (parsedFile) {
+      setFileContent(parsedFile.content);
+      setCurrentSymbols(parsedFile.symbols);
+    } else {
+      try {
+        const response = await axios.get(`http://localhost:3001/api/file-content?path=${encodeURIComponent(file.path)}`);
+        setFileContent(response.data.content);
+        setCurrentSymbols(response.data.symbols || []);
+      } catch (error) {
+        console.error('Error fetching file content:', error);
+        setFileContent('// Error loading file content');
+        setCurrentSymbols([]);
       }
     }
   };
 
+  // Every way of opening code goes through the navigation history; follow it here
+  useEffect(() => {
+    if (!current) return;
+    setActiveTab('explorer');
+    if (current.file !== selectedFile?.path) {
+      openFile(findFileNode(projectData.files, current.file) || {
+        name: current.file.split('/').pop() || current.file,
+        path: current.file,
+        type: 'file',
+      });
+    }
+    setEditorTarget(current.line
+      ? { line: current.line, endLine: current.endLine, column: current.column }
+      : undefined);
+  }, [current]);
+
+  // Alt+Left / Alt+Right walk the navigation history like in an IDE
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!e.altKey) return;
+      if (e.key === 'ArrowLeft') goBack();
+      else if (e.key === 'ArrowRight') goForward();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [goBack, goForward]);
+
+  const handleFileSelect = (file: FileNode) => {
+    if (file.type === 'file') {
+      navigate({ file: file.path });
+    }
+  };
+
+  const handleSearchResultClick = (result: SearchResult) => {
+    navigate({ file: result.file, line: result.line, column: result.column });
+  };
+
   const handleSymbolClick = (symbol: CodeSymbol) => {
-    // This would typically scroll to the symbol in the editor
-    console.log('Navigate to symbol:', symbol);
+    if (!selectedFile) return;
+    navigate({ file: selectedFile.path, line: symbol.line, endLine: symbol.endLine, column: symbol.column });
   };
 
   const handleSearch = async (term: string) => {
@@ -67,7 +132,9 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
 
     setIsSearching(true);
     try {
-      const response = await axios.get(`http://localhost:3001/api/search?term=${encodeURIComponent(term)}`);
+      const response = await axios.get('http://localhost:3001/api/search', {
+        params: { term, project: projectData.projectId }
+      });
       setSearchResults(response.data);
     } catch (error) {
       console.error('Search error:', error);
@@ -164,6 +231,7 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
               <input
                 type="text"
                 placeholder="Search codebase..."
+                title="Filter with kind:function, kind:class,interface or file:src/**"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className={`pl-10 pr-4 py-2 w-64 rounded-lg border transition-colors duration-200 ${
@@ -174,6 +242,31 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
               />
             </div>
             
+            <div className={`flex rounded-lg border ${
+              theme === 'dark' ? 'border-gray-600' : 'border-gray-300'
+            }`}>
+              <button
+                onClick={goBack}
+                disabled={!canGoBack}
+                title="Go back (Alt+Left)"
+                className={`p-2 rounded-l-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  theme === 'dark' ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <ArrowLeft className="w-4 h-4" />
+              </button>
+              <button
+                onClick={goForward}
+                disabled={!canGoForward}
+                title="Go forward (Alt+Right)"
+                className={`p-2 rounded-r-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  theme === 'dark' ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <ArrowRight className="w-4 h-4" />
+              </button>
+            </div>
+
             <ThemeToggle />
             
             <button
@@ -275,8 +368,12 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
               theme === 'dark' ? 'bg-gray-800' : 'bg-white'
             }`}>
               <CodeViewer
+                projectId={projectData.projectId}
                 selectedFile={selectedFile}
                 fileContent={fileContent}
+                target={editorTarget}
+                onSelectionChange={setEditorSelection}
+                onCursorChange={setCursorLine}
               />
             </div>
 
@@ -286,76 +383,142 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
                 ? 'bg-gray-800 border-gray-700' 
                 : 'bg-white border-gray-200'
             }`}>
-              {searchResults.length > 0 ? (
-                <div className="h-full flex flex-col">
-                  <div className={`p-4 border-b ${
-                    theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
-                  }`}>
-                    <h2 className={`text-lg font-semibold ${
-                      theme === 'dark' ? 'text-white' : 'text-gray-900'
-                    }`}>
-                      Search Results
-                    </h2>
-                    <p className={`text-sm ${
-                      theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+              <div className={`flex border-b text-sm font-medium ${
+                theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+              }`}>
+                {(isMonorepo ? ['symbols', 'find', 'impact', 'dead-code', 'packages'] as const : ['symbols', 'find', 'impact', 'dead-code'] as const).map(panel => (
+                  <button
+                    key={panel}
+                    onClick={() => setSidePanel(panel)}
+                    className={`flex-1 flex items-center justify-center px-3 py-2 transition-colors ${
+                      sidePanel === panel
+                        ? theme === 'dark'
+                          ? 'text-blue-400 border-b-2 border-blue-400'
+                          : 'text-blue-600 border-b-2 border-blue-600'
+                        : theme === 'dark'
+                          ? 'text-gray-400 hover:text-gray-200'
+                          : 'text-gray-500 hover:text-gray-800'
+                    }`}
+                  >
+                    {panel === 'symbols' ? (
+                      <><Code className="w-4 h-4 mr-2" />Symbols</>
+                    ) : panel === 'find' ? (
+                      <><FileSearch className="w-4 h-4 mr-2" />Find in Files</>
+                    ) : panel === 'impact' ? (
+                      <><Zap className="w-4 h-4 mr-2" />Impact</>
+                    ) : panel === 'dead-code' ? (
+                      <><Trash2 className="w-4 h-4 mr-2" />Dead Code</>
+                    ) : (
+                      <><Package className="w-4 h-4 mr-2" />Packages</>
+                    )}
+                  </button>
+                ))}
+              </div>
+              <div className="flex-1 min-h-0">
+                {sidePanel === 'find' ? (
+                  <CodeSearchPanel
+                    projectId={projectData.projectId}
+                  />
+                ) : sidePanel === 'impact' ? (
+                  <ImpactPanel projectId={projectData.projectId} />
+                ) : sidePanel === 'dead-code' ? (
+                  <DeadCodePanel projectId={projectData.projectId} />
+                ) : sidePanel === 'packages' && workspace ? (
+                  <PackagePanel workspace={workspace} />
+                ) : searchResults.length > 0 ? (
+                  <div className="h-full flex flex-col">
+                    <div className={`p-4 border-b ${
+                      theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
                     }`}>
-                      {searchResults.length} results for "{searchTerm}"
-                    </p>
-                  </div>
-                  <div className="flex-1 overflow-y-auto">
-                    <div className="p-2 space-y-1">
-                      {searchResults.map((result, index) => (
-                        <div
-                          key={index}
-                          className={`p-3 rounded-lg cursor-pointer transition-all duration-150 ${
-                            theme === 'dark' 
-                              ? 'hover:bg-gray-700 border border-gray-700' 
-                              : 'hover:bg-gray-50 border border-gray-200'
-                          }`}
-                          onClick={() => {
-                            const file = fileTreeData.find(f => f.path === result.file);
-                            if (file) handleFileSelect(file);
-                          }}
-                        >
-                          <div className={`font-medium text-sm ${
-                            theme === 'dark' ? 'text-white' : 'text-gray-900'
-                          }`}>
-                            {result.file.split('/').pop()}
-                          </div>
-                          <div className={`text-xs mb-1 ${
-                            theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-                          }`}>
-                            Line {result.line} • {result.symbolKind}
-                          </div>
-                          <div className={`text-xs p-2 rounded ${
-                            theme === 'dark' 
-                              ? 'text-gray-300 bg-gray-700' 
-                              : 'text-gray-600 bg-gray-50'
-                          }`}>
-                            {result.context}
+                      <h2 className={`text-lg font-semibold ${
+                        theme === 'dark' ? 'text-white' : 'text-gray-900'
+                      }`}>
+                        Search Results
+                      </h2>
+                      <p className={`text-sm ${
+                        theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                      }`}>
+                        {searchResults.length} results for "{searchTerm}"
+                      </p>
+                    </div>
+                    <div className="flex-1 overflow-y-auto">
+                      <div className="p-2 space-y-1">
+                        {searchResults.map((result, index) => (
+                          <div
+                            key={index}
+                            className={`p-3 rounded-lg cursor-pointer transition-all duration-150 ${
+                              theme === 'dark' 
+                                ? 'hover:bg-gray-700 border border-gray-700' 
+                                : 'hover:bg-gray-50 border border-gray-200'
+                            }`}
+                            onClick={() => handleSearchResultClick(result)}
+                          >
+                            <div className={`font-medium text-sm ${
+                              theme === 'dark' ? 'text-white' : 'text-gray-900'
+                            }`}>
+                              {result.symbolName}
+                            </div>
+                            <div className={`text-xs mb-1 ${
+                              theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                            }`}>
+                              {result.file.split('/').pop()} • Line {result.line} • {result.symbolKind}
+                            </div>
+                            <div className={`text-xs p-2 rounded ${
+                              theme === 'dark' 
+                                ? 'text-gray-300 bg-gray-700' 
+                                : 'text-gray-600 bg-gray-50'
+                            }`}>
+                              {result.context}
+                            </div>
                           </div>
-                        </div>
-                      ))}
+                        ))}
+                      </div>
                     </div>
                   </div>
-                </div>
-              ) : (
-                <FunctionList
-                  symbols={currentSymbols}
-                  onSymbolClick={handleSymbolClick}
-                />
-              )}
+                ) : (
+                  <FunctionList
+                    symbols={currentSymbols}
+                    activeLine={cursorLine}
+                    onSymbolClick={handleSymbolClick}
+                  />
+                )}
+              </div>
             </div>
           </>
         ) : (
           /* Dependency Graph View */
-          <div className="flex-1">
-            <RippleGraph 
-              files={projectData.parsedFiles.map(pf => ({
-                filename: pf.path,
-                content: pf.content
-              }))}
-            />
+          <div className="flex-1 flex flex-col">
+            {isMonorepo && (
+              <div className={`flex items-center space-x-2 px-4 py-2 border-b text-sm ${
+                theme === 'dark' ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-200 text-gray-700'
+              }`}>
+                <span>Show</span>
+                {(['files', 'packages'] as const).map(level => (
+                  <button
+                    key={level}
+                    onClick={() => setGraphLevel(level)}
+                    className={`px-3 py-1 rounded-md transition-colors ${
+                      graphLevel === level
+                        ? theme === 'dark' ? 'bg-blue-600 text-white' : 'bg-blue-500 text-white'
+                        : theme === 'dark' ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+                    }`}
+                  >
+                    {level === 'files' ? 'Files' : 'Packages'}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex-1 min-h-0">
+              {isMonorepo && graphLevel === 'packages' && workspace ? (
+                <PackageGraph workspace={workspace} />
+              ) : (
+                <RippleGraph
+                  key={projectData.projectId}
+                  projectId={projectData.projectId}
+                  packages={workspace?.packages.map(pkg => pkg.name)}
+                />
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -367,6 +530,7 @@ export const ExplorerPage: React.FC<ExplorerPageProps> = ({ projectData, onReset
         projectData={projectData}
         selectedFile={selectedFile}
         fileContent={fileContent}
+        selection={editorSelection}
       />
     </div>
   );
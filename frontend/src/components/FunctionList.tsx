@@ -1,27 +1,116 @@
-import React, { useState } from 'react';
-import { Search, FunctionSquare as Function, Box, FileText, Import, Import as Export } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Search, FunctionSquare as Function, Box, FileText, Import, Import as Export, Braces, Type, ListOrdered, Variable, Lock, ChevronRight, ChevronDown } from 'lucide-react';
 import { CodeSymbol } from '../types';
 import { useTheme } from '../hooks/useTheme';
 
 interface FunctionListProps {
   symbols: CodeSymbol[];
+  activeLine?: number;
   onSymbolClick: (symbol: CodeSymbol) => void;
 }
 
-export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolClick }) => {
+interface OutlineNode {
+  key: string;
+  symbol: CodeSymbol;
+  children: OutlineNode[];
+}
+
+// Symbols other symbols can be nested in (their `parent` names one of these)
+const CONTAINER_KINDS = ['class', 'interface', 'namespace'];
+
+const symbolKey = (symbol: CodeSymbol) => `${symbol.kind}:${symbol.line}:${symbol.column}`;
+
+const contains = (symbol: CodeSymbol, line: number) => symbol.line <= line && line <= (symbol.endLine ?? symbol.line);
+
+// Nest symbols under their class, interface or namespace. Merged declarations share a
+// qualified name, so a member goes to the one whose range contains it.
+const buildOutline = (symbols: CodeSymbol[]): OutlineNode[] => {
+  const roots: OutlineNode[] = [];
+  const containers = new Map<string, OutlineNode[]>();
+  const sorted = [...symbols].sort((a, b) => a.line - b.line || a.column - b.column);
+
+  for (const symbol of sorted) {
+    const node: OutlineNode = { key: symbolKey(symbol), symbol, children: [] };
+    const candidates = symbol.parent ? containers.get(symbol.parent) : undefined;
+    const owner = candidates?.find(candidate => contains(candidate.symbol, symbol.line)) ?? candidates?.[0];
+    (owner ? owner.children : roots).push(node);
+
+    if (CONTAINER_KINDS.includes(symbol.kind)) {
+      const qualifiedName = symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
+      containers.set(qualifiedName, [...(containers.get(qualifiedName) || []), node]);
+    }
+  }
+  return roots;
+};
+
+// Keys from the outermost to the innermost symbol enclosing a line
+const pathToLine = (nodes: OutlineNode[], line: number): string[] => {
+  const node = nodes.find(n => contains(n.symbol, line));
+  return node ? [node.key, ...pathToLine(node.children, line)] : [];
+};
+
+// Keep nodes that match, plus the ancestors needed to reach them
+const filterOutline = (nodes: OutlineNode[], matches: (symbol: CodeSymbol) => boolean): OutlineNode[] =>
+  nodes.flatMap(node => {
+    const children = filterOutline(node.children, matches);
+    return matches(node.symbol) || children.length > 0 ? [{ ...node, children }] : [];
+  });
+
+export const FunctionList: React.FC<FunctionListProps> = ({ symbols, activeLine, onSymbolClick }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedType, setSelectedType] = useState<string>('all');
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+  const activeRowRef = useRef<HTMLDivElement | null>(null);
   const { theme } = useTheme();
 
-  const filteredSymbols = symbols.filter(symbol => {
-    const matchesSearch = symbol.name.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesType = selectedType === 'all' || symbol.kind === selectedType;
-    return matchesSearch && matchesType;
-  });
+  const outline = useMemo(() => buildOutline(symbols), [symbols]);
+  const activePath = useMemo(() => activeLine ? pathToLine(outline, activeLine) : [], [outline, activeLine]);
+  const activeKey = activePath[activePath.length - 1];
+
+  const isFiltering = searchTerm !== '' || selectedType !== 'all';
+  const visibleOutline = useMemo(() => isFiltering
+    ? filterOutline(outline, symbol =>
+        symbol.name.toLowerCase().includes(searchTerm.toLowerCase()) &&
+        (selectedType === 'all' || symbol.kind === selectedType))
+    : outline,
+  [outline, isFiltering, searchTerm, selectedType]);
+
+  useEffect(() => {
+    setCollapsed(new Set());
+  }, [symbols]);
+
+  // Reveal the symbol under the cursor: expand its ancestors and scroll it into view
+  useEffect(() => {
+    if (activePath.length > 1) {
+      setCollapsed(prev => {
+        if (!activePath.slice(0, -1).some(key => prev.has(key))) return prev;
+        const next = new Set(prev);
+        activePath.slice(0, -1).forEach(key => next.delete(key));
+        return next;
+      });
+    }
+  }, [activePath]);
+
+  useEffect(() => {
+    activeRowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [activeKey]);
+
+  const toggle = (key: string) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
 
   const getSymbolIcon = (kind: string) => {
     switch (kind) {
       case 'function':
+      case 'method':
+      case 'constructor':
+      case 'getter':
+      case 'setter':
         return <Function className={`w-4 h-4 ${
           theme === 'dark' ? 'text-blue-400' : 'text-blue-500'
         }`} />;
@@ -33,6 +122,23 @@ export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolCli
         return <FileText className={`w-4 h-4 ${
           theme === 'dark' ? 'text-purple-400' : 'text-purple-500'
         }`} />;
+      case 'enum':
+        return <ListOrdered className={`w-4 h-4 ${
+          theme === 'dark' ? 'text-yellow-400' : 'text-yellow-600'
+        }`} />;
+      case 'type':
+        return <Type className={`w-4 h-4 ${
+          theme === 'dark' ? 'text-purple-400' : 'text-purple-500'
+        }`} />;
+      case 'namespace':
+        return <Braces className={`w-4 h-4 ${
+          theme === 'dark' ? 'text-teal-400' : 'text-teal-600'
+        }`} />;
+      case 'variable':
+      case 'property':
+        return <Variable className={`w-4 h-4 ${
+          theme === 'dark' ? 'text-sky-400' : 'text-sky-600'
+        }`} />;
       case 'import':
         return <Import className={`w-4 h-4 ${
           theme === 'dark' ? 'text-orange-400' : 'text-orange-500'
@@ -48,11 +154,81 @@ export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolCli
     }
   };
 
+  const pluralize = (kind: string) => {
+    const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+    if (label.endsWith('s')) return `${label}es`;
+    if (label.endsWith('y')) return `${label.slice(0, -1)}ies`;
+    return `${label}s`;
+  };
+
   const symbolCounts = symbols.reduce((acc, symbol) => {
     acc[symbol.kind] = (acc[symbol.kind] || 0) + 1;
     return acc;
   }, {} as Record<string, number>);
 
+  const renderNode = (node: OutlineNode, level: number): React.ReactNode => {
+    const { symbol } = node;
+    const hasChildren = node.children.length > 0;
+    // While filtering every match is shown, whatever was collapsed
+    const isExpanded = hasChildren && (isFiltering || !collapsed.has(node.key));
+    const isActive = node.key === activeKey;
+
+    return (
+      <div key={node.key}>
+        <div
+          ref={isActive ? activeRowRef : undefined}
+          onClick={() => onSymbolClick(symbol)}
+          title={symbol.signature}
+          className={`flex items-center px-2 py-1 rounded-md cursor-pointer transition-all duration-150 ${
+            isActive
+              ? theme === 'dark'
+                ? 'bg-blue-900/30 text-blue-300'
+                : 'bg-blue-100 text-blue-800'
+              : theme === 'dark'
+                ? 'hover:bg-gray-700 text-gray-300'
+                : 'hover:bg-gray-100 text-gray-700'
+          }`}
+          style={{ paddingLeft: `${level * 16 + 8}px` }}
+        >
+          <span
+            className="mr-1 w-4 h-4 flex-shrink-0"
+            onClick={(e) => {
+              if (!hasChildren) return;
+              e.stopPropagation();
+              toggle(node.key);
+            }}
+          >
+            {hasChildren && (isExpanded ? (
+              <ChevronDown className={`w-4 h-4 ${
+                theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+              }`} />
+            ) : (
+              <ChevronRight className={`w-4 h-4 ${
+                theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+              }`} />
+            ))}
+          </span>
+          {getSymbolIcon(symbol.kind)}
+          <span className="ml-2 text-sm font-medium truncate">
+            {symbol.name}
+          </span>
+          {symbol.visibility && symbol.visibility !== 'public' && (
+            <span title={symbol.visibility} className="ml-1 flex-shrink-0">
+              <Lock className={`w-3 h-3 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-400'}`} />
+            </span>
+          )}
+          <span className={`ml-auto pl-2 text-xs flex-shrink-0 ${
+            theme === 'dark' ? 'text-gray-500' : 'text-gray-400'
+          }`}>
+            {symbol.isStatic ? 'static ' : ''}{symbol.kind} • {symbol.line}
+          </span>
+        </div>
+
+        {isExpanded && node.children.map(child => renderNode(child, level + 1))}
+      </div>
+    );
+  };
+
   return (
     <div className="h-full flex flex-col">
       <div className={`p-4 border-b ${
@@ -61,9 +237,9 @@ export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolCli
         <h2 className={`text-lg font-semibold mb-4 ${
           theme === 'dark' ? 'text-white' : 'text-gray-900'
         }`}>
-          Code Symbols
+          Outline
         </h2>
-        
+
         <div className="relative mb-4">
           <Search className={`absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 ${
             theme === 'dark' ? 'text-gray-400' : 'text-gray-400'
@@ -74,68 +250,37 @@ export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolCli
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className={`w-full pl-10 pr-4 py-2 border rounded-lg transition-colors duration-200 ${
-              theme === 'dark' 
-                ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500' 
+              theme === 'dark'
+                ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500'
                 : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
             } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
           />
         </div>
-        
+
         <select
           value={selectedType}
           onChange={(e) => setSelectedType(e.target.value)}
           className={`w-full px-3 py-2 border rounded-lg transition-colors duration-200 ${
-            theme === 'dark' 
-              ? 'border-gray-600 bg-gray-800 text-white focus:border-blue-500' 
+            theme === 'dark'
+              ? 'border-gray-600 bg-gray-800 text-white focus:border-blue-500'
               : 'border-gray-300 bg-white text-gray-900 focus:border-blue-500'
           } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
         >
           <option value="all">All Types ({symbols.length})</option>
           {Object.entries(symbolCounts).map(([type, count]) => (
             <option key={type} value={type}>
-              {type.charAt(0).toUpperCase() + type.slice(1)}s ({count})
+              {pluralize(type)} ({count})
             </option>
           ))}
         </select>
       </div>
-      
+
       <div className="flex-1 overflow-y-auto">
-        <div className="p-2 space-y-1">
-          {filteredSymbols.map((symbol, index) => (
-            <div
-              key={index}
-              onClick={() => onSymbolClick(symbol)}
-              className={`flex items-center space-x-3 p-3 rounded-lg cursor-pointer transition-all duration-150 border ${
-                theme === 'dark' 
-                  ? 'hover:bg-gray-700 border-gray-700 hover:border-gray-600' 
-                  : 'hover:bg-gray-50 border-gray-200 hover:border-gray-300'
-              }`}
-            >
-              {getSymbolIcon(symbol.kind)}
-              <div className="flex-1 min-w-0">
-                <div className={`font-medium truncate ${
-                  theme === 'dark' ? 'text-white' : 'text-gray-900'
-                }`}>
-                  {symbol.name}
-                </div>
-                <div className={`text-sm ${
-                  theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-                }`}>
-                  Line {symbol.line} • {symbol.kind}
-                </div>
-                {symbol.signature && (
-                  <div className={`text-xs truncate ${
-                    theme === 'dark' ? 'text-gray-500' : 'text-gray-500'
-                  }`}>
-                    {symbol.signature}
-                  </div>
-                )}
-              </div>
-            </div>
-          ))}
+        <div className="p-2">
+          {visibleOutline.map(node => renderNode(node, 0))}
         </div>
-        
-        {filteredSymbols.length === 0 && (
+
+        {visibleOutline.length === 0 && (
           <div className="flex items-center justify-center h-32">
             <div className="text-center">
               <div className={`mb-2 ${
@@ -154,4 +299,4 @@ export const FunctionList: React.FC<FunctionListProps> = ({ symbols, onSymbolCli
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
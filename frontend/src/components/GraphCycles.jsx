@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+const KINDS = [
+  ['imports', '📥 Import cycles'],
+  ['calls', '🔗 Call cycles'],
+];
+
+// The last path segment, so a loop of long paths stays readable
+const shortName = (name) => name.split('/').pop();
+
+// Circular imports and mutually recursive calls from GET /api/projects/:id/cycles. `active` is
+// 'all', one of the cycles, or null; picking a cycle lists the import or call lines forming it.
+export default function GraphCycles({ cycles, active, onSelect }) {
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+  const [expanded, setExpanded] = useState(true);
+
+  const total = cycles.imports.length + cycles.calls.length;
+  const nameOf = (cycle, id) => cycle.members.find(member => member.id === id)?.name || id;
+
+  return (
+    <div className={`w-72 p-5 rounded-2xl shadow-2xl backdrop-blur-md border ${
+      theme === 'dark'
+        ? 'bg-gray-800/95 border-gray-700/50 shadow-gray-900/50 text-white'
+        : 'bg-white/95 border-gray-200/50 shadow-gray-500/20 text-gray-900'
+    }`}>
+      <div className="flex items-center justify-between">
+        <button onClick={() => setExpanded(!expanded)} className="font-bold text-lg flex items-center">
+          <span className="mr-3 text-2xl">🔄</span>
+          Cycles
+          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+            total > 0
+              ? theme === 'dark' ? 'bg-red-900/40 text-red-300' : 'bg-red-100 text-red-700'
+              : theme === 'dark' ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-700'
+          }`}>
+            {total}
+          </span>
+        </button>
+        {total > 0 && (
+          <button
+            onClick={() => onSelect(active === 'all' ? null : 'all')}
+            className={`text-xs ${theme === 'dark' ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+          >
+            {active === 'all' ? 'Hide' : 'Highlight all'}
+          </button>
+        )}
+      </div>
+
+      {expanded && total === 0 && (
+        <p className={`mt-3 text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+          No circular imports or calls
+        </p>
+      )}
+
+      {expanded && total > 0 && (
+        <div className="mt-3 max-h-80 overflow-y-auto space-y-3">
+          {KINDS.filter(([kind]) => cycles[kind].length > 0).map(([kind, label]) => (
+            <div key={kind}>
+              <div className={`text-xs font-semibold mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                {label} ({cycles[kind].length})
+              </div>
+              {cycles[kind].map((cycle, index) => (
+                <div key={index} className="mb-1">
+                  <button
+                    onClick={() => onSelect(active === cycle ? null : cycle)}
+                    title={cycle.files.join('\n')}
+                    className={`w-full text-left px-2 py-1 rounded-lg text-xs font-mono break-words transition-colors ${
+                      active === cycle
+                        ? theme === 'dark' ? 'bg-red-900/40 text-red-200' : 'bg-red-100 text-red-800'
+                        : theme === 'dark' ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {cycle.path.map(id => shortName(nameOf(cycle, id))).join(' → ')}
+                    {cycle.members.length > cycle.path.length - 1 && (
+                      <span className="opacity-60"> (+{cycle.members.length - cycle.path.length + 1} more)</span>
+                    )}
+                  </button>
+                  {active === cycle && (
+                    <div className="mt-1 ml-2 space-y-1">
+                      {cycle.edges.map(edge => (
+                        <div
+                          key={`${edge.source}->${edge.target}`}
+                          onClick={() => edge.filename && navigate(edge.line ? { file: edge.filename, line: edge.line } : { file: edge.filename })}
+                          className={`px-2 py-1 rounded cursor-pointer text-xs transition-colors ${
+                            theme === 'dark' ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+                          }`}
+                        >
+                          <div className={theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}>
+                            {edge.relativePath}{edge.line ? `:${edge.line}` : ''}
+                          </div>
+                          <div className="font-mono truncate" title={edge.text || ''}>
+                            {edge.text || `${shortName(nameOf(cycle, edge.source))} → ${shortName(nameOf(cycle, edge.target))}`}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React from 'react';
+import { useTheme } from '../hooks/useTheme';
+
+const NODE_TYPES = [
+  ['file', '📁 Files'],
+  ['function', '⚡ Functions'],
+  ['external', '📦 External'],
+];
+
+const EDGE_TYPES = [
+  ['imports', '📥 Imports'],
+  ['calls', '🔗 Calls'],
+  ['contains', '🗂️ Contains'],
+];
+
+export const DEPTH_OPTIONS = ['1', '2', '3', '5', 'all'];
+
+export const DEFAULT_GRAPH_FILTERS = {
+  types: NODE_TYPES.map(([type]) => type),
+  edges: EDGE_TYPES.map(([type]) => type),
+  folders: '',
+  package: '',
+  search: '',
+  collapse: false,
+};
+
+// Query string for GET /api/projects/:id/graph. A folder without glob characters means everything in it.
+export function graphQuery(filters, focus, depth) {
+  const params = new URLSearchParams();
+  if (filters.types.length < NODE_TYPES.length) params.set('types', filters.types.join(',') || 'none');
+  if (filters.edges.length < EDGE_TYPES.length) params.set('edges', filters.edges.join(',') || 'none');
+  const folders = filters.folders.split(',').map(folder => folder.trim()).filter(Boolean)
+    .map(folder => /[*?{]/.test(folder) ? folder : `${folder.replace(/\/+$/, '')}/**`);
+  if (folders.length > 0) params.set('files', folders.join(','));
+  if (filters.package) params.set('package', filters.package);
+  if (filters.search.trim()) params.set('search', filters.search.trim());
+  if (filters.collapse) params.set('collapse', '1');
+  if (focus) {
+    params.set('focus', focus);
+    params.set('depth', depth);
+  }
+  return params.toString();
+}
+
+export function isFiltered(filters) {
+  return graphQuery(filters, null, null) !== '';
+}
+
+// Graph filter panel: node and edge types, folders, workspace package, name pattern, collapsing
+// functions into files, and the neighbourhood depth used by focus mode and the ripple highlight
+export default function GraphFilters({ filters, onChange, packages = [], depth, onDepthChange, focusLabel, onExitFocus }) {
+  const { theme } = useTheme();
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const toggle = (key, value) => update({
+    [key]: filters[key].includes(value) ? filters[key].filter(item => item !== value) : [...filters[key], value],
+  });
+
+  const chipClass = (active) => `px-2 py-1 rounded-lg text-xs font-medium transition-colors ${
+    active
+      ? theme === 'dark' ? 'bg-blue-600 text-white' : 'bg-blue-500 text-white'
+      : theme === 'dark' ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }`;
+  const inputClass = `w-full px-3 py-1.5 text-sm border rounded-lg ${
+    theme === 'dark'
+      ? 'border-gray-600 bg-gray-900 text-white placeholder-gray-500'
+      : 'border-gray-300 bg-white text-gray-900 placeholder-gray-400'
+  } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+  const labelClass = `block text-xs font-semibold mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`;
+
+  return (
+    <div className={`w-72 p-5 rounded-2xl shadow-2xl backdrop-blur-md border space-y-4 ${
+      theme === 'dark'
+        ? 'bg-gray-800/95 border-gray-700/50 shadow-gray-900/50 text-white'
+        : 'bg-white/95 border-gray-200/50 shadow-gray-500/20 text-gray-900'
+    }`}>
+      <div className="flex items-center justify-between">
+        <h4 className="font-bold text-lg flex items-center">
+          <span className="mr-3 text-2xl">🔍</span>
+          Filters
+        </h4>
+        {isFiltered(filters) && (
+          <button
+            onClick={() => onChange(DEFAULT_GRAPH_FILTERS)}
+            className={`text-xs ${theme === 'dark' ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {focusLabel && (
+        <div className={`flex items-center justify-between p-2 rounded-lg text-xs ${
+          theme === 'dark' ? 'bg-blue-900/30 text-blue-300' : 'bg-blue-100 text-blue-800'
+        }`}>
+          <span className="truncate">🎯 Focused on <strong>{focusLabel}</strong></span>
+          <button onClick={onExitFocus} className="ml-2 flex-shrink-0 underline">Exit</button>
+        </div>
+      )}
+
+      <div>
+        <span className={labelClass}>Nodes</span>
+        <div className="flex flex-wrap gap-1">
+          {NODE_TYPES.map(([type, label]) => (
+            <button key={type} onClick={() => toggle('types', type)} className={chipClass(filters.types.includes(type))}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className={labelClass}>Edges</span>
+        <div className="flex flex-wrap gap-1">
+          {EDGE_TYPES.map(([type, label]) => (
+            <button key={type} onClick={() => toggle('edges', type)} className={chipClass(filters.edges.includes(type))}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Folders</label>
+        <input
+          type="text"
+          value={filters.folders}
+          onChange={(e) => update({ folders: e.target.value })}
+          placeholder="src/components, lib/**/*.ts"
+          className={inputClass}
+        />
+      </div>
+
+      {packages.length > 1 && (
+        <div>
+          <label className={labelClass}>Package</label>
+          <select value={filters.package} onChange={(e) => update({ package: e.target.value })} className={inputClass}>
+            <option value="">All packages</option>
+            {packages.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className={labelClass}>Name</label>
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => update({ search: e.target.value })}
+          placeholder="handle*, use?ata"
+          className={inputClass}
+        />
+      </div>
+
+      <label className="flex items-center text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={filters.collapse}
+          onChange={(e) => update({ collapse: e.target.checked })}
+          className="mr-2"
+        />
+        Collapse functions into files
+      </label>
+
+      <div>
+        <label className={labelClass}>Neighbourhood depth (focus and ripple)</label>
+        <div className="flex gap-1">
+          {DEPTH_OPTIONS.map(option => (
+            <button key={option} onClick={() => onDepthChange(option)} className={chipClass(depth === option)}>
+              {option === 'all' ? 'All' : option}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -24,7 +24,7 @@ export default function GraphNodeTooltip({ node, position }) {
       <div className="space-y-3">
         <div className="flex items-center space-x-3">
           <span className="text-2xl animate-bounce">
-            {data.type === 'file' ? '📁' : '⚡'}
+            {data.type === 'file' ? '📁' : data.type === 'external' ? '📦' : '⚡'}
           </span>
           <div>
             <span className="font-bold text-base block">
@@ -33,7 +33,7 @@ export default function GraphNodeTooltip({ node, position }) {
             <span className={`text-xs ${
               theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
             }`}>
-              {data.type === 'file' ? 'File Node' : 'Function Node'}
+              {data.type === 'file' ? 'File Node' : data.type === 'external' ? 'External Package' : 'Function Node'}
             </span>
           </div>
         </div>
@@ -41,7 +41,21 @@ export default function GraphNodeTooltip({ node, position }) {
         <div className={`text-sm space-y-2 ${
           theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
         }`}>
-          {data.type === 'file' ? (
+          {data.type === 'external' ? (
+            <div className={`flex justify-between items-center p-2 rounded-lg ${
+              theme === 'dark' ? 'bg-gray-700/50' : 'bg-gray-50'
+            }`}>
+              <span className="flex items-center">
+                <span className="mr-2">📥</span>
+                <strong>Imported by:</strong>
+              </span>
+              <span className={`px-2 py-1 rounded font-mono text-xs ${
+                theme === 'dark' ? 'bg-amber-900/30 text-amber-400' : 'bg-amber-100 text-amber-600'
+              }`}>
+                {data.importers} files
+              </span>
+            </div>
+          ) : data.type === 'file' ? (
             <>
               <div className={`flex justify-between items-center p-2 rounded-lg ${
                 theme === 'dark' ? 'bg-gray-700/50' : 'bg-gray-50'
@@ -0,0 +1,247 @@
+import React, { useRef, useState } from 'react';
+import { Zap, Loader2, FileDiff, X, Download, FileText, Code, Package, FlaskConical } from 'lucide-react';
+import { ImpactReport, ImpactedNode } from '../types';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+interface ImpactPanelProps {
+  projectId: string;
+}
+
+// Saves `blob` through a temporary link, as the browser would a server download
+const saveBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Change impact analysis: changed files/functions (typed in or from a patch) and everything that depends
+// on them in the project graph, nearest first
+export const ImpactPanel: React.FC<ImpactPanelProps> = ({ projectId }) => {
+  const [changes, setChanges] = useState('');
+  const [patchFile, setPatchFile] = useState<File | null>(null);
+  const [report, setReport] = useState<ImpactReport | null>(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // The inputs `report` was made from, so the Markdown download matches what is shown
+  const requestRef = useRef<{ changes: string; patchFile: File | null } | null>(null);
+  const patchInputRef = useRef<HTMLInputElement>(null);
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+
+  const requestImpact = (request: { changes: string; patchFile: File | null }, format?: 'markdown') => {
+    const body = new FormData();
+    body.append('changes', request.changes);
+    if (request.patchFile) body.append('patch', request.patchFile);
+    const url = `http://localhost:3001/api/projects/${encodeURIComponent(projectId)}/impact${format ? `?format=${format}` : ''}`;
+    return fetch(url, { method: 'POST', body }).then(async response => {
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Impact analysis failed (${response.status})`);
+      }
+      return response;
+    });
+  };
+
+  const analyze = async () => {
+    const request = { changes, patchFile };
+    setIsAnalyzing(true);
+    setError(null);
+    try {
+      const response = await requestImpact(request);
+      const data = await response.json();
+      requestRef.current = request;
+      setReport(data.report);
+    } catch (err: any) {
+      console.error('Impact analysis error:', err);
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const downloadJson = () => {
+    if (!report) return;
+    saveBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `impact-${projectId}.json`);
+  };
+
+  const downloadMarkdown = async () => {
+    if (!requestRef.current) return;
+    try {
+      const response = await requestImpact(requestRef.current, 'markdown');
+      saveBlob(await response.blob(), `impact-${projectId}.md`);
+    } catch (err: any) {
+      console.error('Impact report download error:', err);
+      setError(err.message);
+    }
+  };
+
+  const open = (node: ImpactedNode) => {
+    if (node.filename) navigate(node.type === 'function' && node.line ? { file: node.filename, line: node.line } : { file: node.filename });
+  };
+
+  const inputClass = `w-full px-3 py-1.5 text-sm border rounded-lg transition-colors duration-200 ${
+    theme === 'dark'
+      ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500'
+      : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
+  } focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+  const buttonClass = `flex items-center justify-center px-3 py-1.5 text-xs rounded-lg font-medium transition-colors ${
+    theme === 'dark' ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }`;
+
+  const distanceClass = (distance: number) => `flex-shrink-0 w-6 text-center text-xs font-bold rounded-full ${
+    distance === 0
+      ? theme === 'dark' ? 'bg-red-900/50 text-red-300' : 'bg-red-100 text-red-700'
+      : distance === 1
+        ? theme === 'dark' ? 'bg-orange-900/50 text-orange-300' : 'bg-orange-100 text-orange-700'
+        : theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+  }`;
+
+  const section = (title: string, icon: React.ReactNode, nodes: ImpactedNode[]) => nodes.length > 0 && (
+    <div>
+      <div className={`flex items-center px-2 py-1 text-sm font-medium ${
+        theme === 'dark' ? 'text-white' : 'text-gray-900'
+      }`}>
+        {icon}
+        <span className="ml-2">{title}</span>
+        <span className={`ml-2 text-xs px-1.5 rounded-full ${
+          theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+        }`}>
+          {nodes.length}
+        </span>
+      </div>
+      {nodes.map(node => (
+        <div
+          key={node.id}
+          onClick={() => open(node)}
+          title={node.via ? `${node.via.edge} ${node.via.name}` : 'changed'}
+          className={`ml-4 px-2 py-1 rounded cursor-pointer flex items-center space-x-2 text-xs transition-colors ${
+            theme === 'dark' ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          <span className={distanceClass(node.distance)}>{node.distance}</span>
+          <span className="truncate font-mono">{node.name}</span>
+          {node.type === 'function' && node.relativePath && (
+            <span className="truncate opacity-50">{node.relativePath}:{node.line}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={`p-4 border-b space-y-2 ${
+        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+      }`}>
+        <textarea
+          rows={4}
+          placeholder={'Changed files or functions, one per line\nsrc/api/client.ts\nsrc/utils/format.ts:formatDate\nUserService.save'}
+          value={changes}
+          onChange={(e) => setChanges(e.target.value)}
+          className={`${inputClass} font-mono resize-y`}
+        />
+        <input
+          ref={patchInputRef}
+          type="file"
+          accept=".diff,.patch,text/x-diff,text/x-patch,text/plain"
+          className="hidden"
+          onChange={(e) => setPatchFile(e.target.files?.[0] || null)}
+        />
+        <div className="flex items-center space-x-2">
+          {patchFile ? (
+            <div className={`flex-1 flex items-center min-w-0 px-2 py-1.5 text-xs rounded-lg ${
+              theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700'
+            }`}>
+              <FileDiff className="w-4 h-4 mr-1 flex-shrink-0" />
+              <span className="truncate">{patchFile.name}</span>
+              <button
+                title="Remove patch"
+                onClick={() => {
+                  setPatchFile(null);
+                  if (patchInputRef.current) patchInputRef.current.value = '';
+                }}
+                className="ml-auto pl-1"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ) : (
+            <button onClick={() => patchInputRef.current?.click()} className={`flex-1 ${buttonClass}`}>
+              <FileDiff className="w-4 h-4 mr-1" />
+              Use a diff/patch
+            </button>
+          )}
+          <button
+            onClick={analyze}
+            disabled={isAnalyzing || (!changes.trim() && !patchFile)}
+            className="flex items-center px-3 py-1.5 text-xs rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isAnalyzing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Zap className="w-4 h-4 mr-1" />}
+            Analyze
+          </button>
+        </div>
+        {error && (
+          <p className={`text-xs ${theme === 'dark' ? 'text-red-400' : 'text-red-600'}`}>{error}</p>
+        )}
+        {report && (
+          <>
+            <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+              {report.functions.length} functions, {report.files.length} files, {report.tests.length} tests
+              and {report.packages.length} packages affected
+            </p>
+            {report.unresolved.length > 0 && (
+              <p className={`text-xs ${theme === 'dark' ? 'text-yellow-400' : 'text-yellow-700'}`}>
+                Not found: {report.unresolved.join(', ')}
+              </p>
+            )}
+            <div className="flex space-x-2">
+              <button onClick={downloadJson} className={`flex-1 ${buttonClass}`}>
+                <Download className="w-3 h-3 mr-1" />
+                JSON
+              </button>
+              <button onClick={downloadMarkdown} className={`flex-1 ${buttonClass}`}>
+                <Download className="w-3 h-3 mr-1" />
+                Markdown
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {report && (
+          <div className="p-2 space-y-3">
+            {report.packages.length > 0 && (
+              <div>
+                <div className={`flex items-center px-2 py-1 text-sm font-medium ${
+                  theme === 'dark' ? 'text-white' : 'text-gray-900'
+                }`}>
+                  <Package className="w-4 h-4 text-gray-400" />
+                  <span className="ml-2">Packages</span>
+                </div>
+                {report.packages.map(pkg => (
+                  <div key={pkg.name} className={`ml-4 px-2 py-1 flex items-center space-x-2 text-xs ${
+                    theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    <span className={distanceClass(pkg.distance)}>{pkg.distance}</span>
+                    <span className="truncate font-mono">{pkg.name}</span>
+                    <span className="opacity-50">{pkg.files} {pkg.files === 1 ? 'file' : 'files'}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {section('Tests', <FlaskConical className="w-4 h-4 text-gray-400" />, report.tests)}
+            {section('Files', <FileText className="w-4 h-4 text-gray-400" />, report.files)}
+            {section('Functions', <Code className="w-4 h-4 text-gray-400" />, report.functions)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
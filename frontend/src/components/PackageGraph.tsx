@@ -0,0 +1,74 @@
+import React, { useMemo } from 'react';
+import { ReactFlow, Node, Edge, MarkerType } from '@reactflow/core';
+import { Controls } from '@reactflow/controls';
+import { Background } from '@reactflow/background';
+import '@reactflow/core/dist/style.css';
+import dagre from 'dagre';
+import { WorkspaceInfo } from '../types';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+interface PackageGraphProps {
+  workspace: WorkspaceInfo;
+}
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 60;
+
+// Packages laid out top-down with an arrow from each package to the workspace packages it depends on
+const layoutPackages = (workspace: WorkspaceInfo, theme: string): { nodes: Node[]; edges: Edge[] } => {
+  const graph = new dagre.graphlib.Graph();
+  graph.setDefaultEdgeLabel(() => ({}));
+  graph.setGraph({ rankdir: 'TB', ranksep: 120, nodesep: 60, marginx: 40, marginy: 40 });
+
+  for (const pkg of workspace.packages) graph.setNode(pkg.name, { width: NODE_WIDTH, height: NODE_HEIGHT });
+  const edges: Edge[] = workspace.packages.flatMap(pkg => pkg.internalDependencies.map(dependency => {
+    graph.setEdge(pkg.name, dependency);
+    return {
+      id: `${pkg.name}->${dependency}`,
+      source: pkg.name,
+      target: dependency,
+      markerEnd: { type: MarkerType.ArrowClosed },
+      style: { stroke: theme === 'dark' ? '#60a5fa' : '#3b82f6' },
+    };
+  }));
+  dagre.layout(graph);
+
+  const nodes: Node[] = workspace.packages.map(pkg => {
+    const { x, y } = graph.node(pkg.name);
+    return {
+      id: pkg.name,
+      position: { x: x - NODE_WIDTH / 2, y: y - NODE_HEIGHT / 2 },
+      data: { label: `${pkg.name}${pkg.version ? ` @${pkg.version}` : ''}`, manifest: pkg.manifest },
+      style: {
+        width: NODE_WIDTH,
+        borderRadius: 12,
+        background: theme === 'dark' ? '#1f2937' : '#ffffff',
+        color: theme === 'dark' ? '#e5e7eb' : '#111827',
+        border: `2px solid ${theme === 'dark' ? '#d97706' : '#f59e0b'}`,
+      },
+    };
+  });
+  return { nodes, edges };
+};
+
+export const PackageGraph: React.FC<PackageGraphProps> = ({ workspace }) => {
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+  const { nodes, edges } = useMemo(() => layoutPackages(workspace, theme), [workspace, theme]);
+
+  return (
+    <div className={`h-full ${theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'}`}>
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        fitView
+        nodesConnectable={false}
+        onNodeDoubleClick={(_, node) => navigate({ file: node.data.manifest })}
+      >
+        <Controls />
+        <Background color={theme === 'dark' ? '#374151' : '#d1d5db'} />
+      </ReactFlow>
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { Package, Search, Lock } from 'lucide-react';
+import { WorkspaceInfo } from '../types';
+import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+interface PackagePanelProps {
+  workspace: WorkspaceInfo;
+}
+
+const TOOL_LABELS: Record<string, string> = {
+  npm: 'npm workspaces',
+  yarn: 'Yarn workspaces',
+  pnpm: 'pnpm workspace',
+  lerna: 'Lerna',
+  nx: 'Nx',
+  turborepo: 'Turborepo',
+};
+
+// Packages of a monorepo with their workspace dependencies; clicking one opens its manifest
+export const PackagePanel: React.FC<PackagePanelProps> = ({ workspace }) => {
+  const [filter, setFilter] = useState('');
+  const { theme } = useTheme();
+  const { navigate } = useNavigation();
+
+  // Reverse edges, so each package can show who depends on it
+  const dependents = useMemo(() => {
+    const byName = new Map<string, string[]>();
+    for (const pkg of workspace.packages) {
+      for (const dependency of pkg.internalDependencies) {
+        byName.set(dependency, [...(byName.get(dependency) || []), pkg.name]);
+      }
+    }
+    return byName;
+  }, [workspace]);
+
+  const packages = workspace.packages.filter(pkg =>
+    pkg.name.toLowerCase().includes(filter.toLowerCase()) || pkg.relativePath.toLowerCase().includes(filter.toLowerCase()));
+
+  const chipClass = `px-2 py-0.5 rounded-full text-xs cursor-pointer transition-colors ${
+    theme === 'dark' ? 'bg-blue-900/40 text-blue-300 hover:bg-blue-900/70' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+  }`;
+
+  const openPackage = (name: string) => {
+    const pkg = workspace.packages.find(p => p.name === name);
+    if (pkg) navigate({ file: pkg.manifest });
+  };
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={`p-4 border-b ${
+        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+      }`}>
+        <h2 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-900'
+        }`}>
+          Packages
+        </h2>
+        <p className={`text-sm mb-4 ${
+          theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+        }`}>
+          {workspace.packages.length} packages
+          {workspace.tools.length > 0 && ` • ${workspace.tools.map(tool => TOOL_LABELS[tool] || tool).join(', ')}`}
+        </p>
+
+        <div className="relative">
+          <Search className={`absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 ${
+            theme === 'dark' ? 'text-gray-400' : 'text-gray-400'
+          }`} />
+          <input
+            type="text"
+            placeholder="Filter packages..."
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className={`w-full pl-10 pr-4 py-2 border rounded-lg transition-colors duration-200 ${
+              theme === 'dark'
+                ? 'border-gray-600 bg-gray-800 text-white placeholder-gray-400 focus:border-blue-500'
+                : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500 focus:border-blue-500'
+            } focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        <div className="p-2 space-y-1">
+          {packages.map(pkg => (
+            <div
+              key={pkg.relativePath}
+              className={`p-3 rounded-lg border transition-all duration-150 ${
+                theme === 'dark' ? 'border-gray-700 hover:border-gray-600' : 'border-gray-200 hover:border-gray-300'
+              }`}
+            >
+              <div
+                onClick={() => navigate({ file: pkg.manifest })}
+                className="flex items-center space-x-2 cursor-pointer"
+              >
+                <Package className={`w-4 h-4 flex-shrink-0 ${
+                  theme === 'dark' ? 'text-amber-400' : 'text-amber-600'
+                }`} />
+                <span className={`font-medium truncate ${
+                  theme === 'dark' ? 'text-white' : 'text-gray-900'
+                }`}>
+                  {pkg.name}
+                </span>
+                {pkg.private && (
+                  <span title="private">
+                    <Lock className={`w-3 h-3 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-400'}`} />
+                  </span>
+                )}
+                {pkg.version && (
+                  <span className={`ml-auto text-xs flex-shrink-0 ${
+                    theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+                  }`}>
+                    v{pkg.version}
+                  </span>
+                )}
+              </div>
+              <div className={`text-xs mt-1 truncate ${
+                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+              }`}>
+                {pkg.relativePath} • {Object.keys(pkg.dependencies).length} deps • {Object.keys(pkg.devDependencies).length} dev deps
+              </div>
+
+              {pkg.internalDependencies.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  <span className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-500'}`}>Uses</span>
+                  {pkg.internalDependencies.map(name => (
+                    <span key={name} className={chipClass} onClick={() => openPackage(name)}>{name}</span>
+                  ))}
+                </div>
+              )}
+              {(dependents.get(pkg.name) || []).length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-1">
+                  <span className={`text-xs ${theme === 'dark' ? 'text-gray-500' : 'text-gray-500'}`}>Used by</span>
+                  {(dependents.get(pkg.name) || []).map(name => (
+                    <span key={name} className={chipClass} onClick={() => openPackage(name)}>{name}</span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {packages.length === 0 && (
+          <p className={`p-4 text-sm text-center ${
+            theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+          }`}>
+            No packages found
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
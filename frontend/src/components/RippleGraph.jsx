@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   ReactFlow,
   useNodesState,
@@ -9,11 +9,14 @@ import { Controls } from '@reactflow/controls';
 import { Background } from '@reactflow/background';
 import { MiniMap } from '@reactflow/minimap';
 import '@reactflow/core/dist/style.css';
-import dagre from 'dagre';
-import { buildDependencyGraph, graphToReactFlow, findDownstreamNodes, findUpstreamNodes, getGraphStats } from '../utils/graphBuilder';
-import { parseFiles } from '../utils/parser';
+import { graphFromJson, findDownstreamNodes, findUpstreamNodes, getGraphStats } from '../utils/graphBuilder';
 import GraphNodeTooltip from './GraphNodeTooltip';
+import GraphFilters, { DEFAULT_GRAPH_FILTERS, graphQuery, isFiltered } from './GraphFilters';
+import GraphCycles from './GraphCycles';
 import { useTheme } from '../hooks/useTheme';
+import { useNavigation } from '../hooks/useNavigation';
+
+const API_URL = 'http://localhost:3001/api';
 
 // Enhanced custom node components with advanced animations
 const FileNode = ({ data, selected }) => {
@@ -242,223 +245,269 @@ const FunctionNode = ({ data, selected }) => {
   );
 };
 
+// Third-party package imported by project files
+const ExternalNode = ({ data, selected }) => {
+  const { theme } = useTheme();
+
+  return (
+    <div
+      className={`relative px-4 py-3 rounded-xl border-2 border-dashed transition-all duration-300 min-w-[120px] max-w-[200px] cursor-pointer ${
+        selected
+          ? theme === 'dark'
+            ? 'bg-gray-700 border-amber-400 shadow-xl shadow-amber-400/30'
+            : 'bg-amber-50 border-amber-500 shadow-xl shadow-amber-500/20'
+          : theme === 'dark'
+            ? 'bg-gray-800 border-gray-600 hover:border-amber-400'
+            : 'bg-white border-gray-300 hover:border-amber-400'
+      }`}
+    >
+      <div className={`font-bold text-sm mb-1 truncate flex items-center ${
+        theme === 'dark' ? 'text-amber-300' : 'text-amber-700'
+      }`} title={data.packageName}>
+        <span className="mr-2 text-lg">📦</span>
+        <span className="truncate">{data.label}</span>
+      </div>
+      <div className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+        External • {data.importers} {data.importers === 1 ? 'importer' : 'importers'}
+      </div>
+    </div>
+  );
+};
+
 const nodeTypes = {
   fileNode: FileNode,
   functionNode: FunctionNode,
+  externalNode: ExternalNode,
 };
 
-// Enhanced layout algorithm with better spacing and positioning
-const getLayoutedElements = (nodes, edges, direction = 'TB') => {
-  const dagreGraph = new dagre.graphlib.Graph();
-  dagreGraph.setDefaultEdgeLabel(() => ({}));
-  
-  const nodeWidth = 200;
-  const nodeHeight = 120;
-  const rankSep = direction === 'TB' ? 250 : 300;
-  const nodeSep = direction === 'TB' ? 150 : 200;
-  
-  dagreGraph.setGraph({ 
-    rankdir: direction, 
-    ranksep: rankSep, 
-    nodesep: nodeSep,
-    marginx: 100,
-    marginy: 100,
-    acyclicer: 'greedy',
-    ranker: 'tight-tree'
-  });
-
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight });
-  });
-
-  edges.forEach((edge) => {
-    dagreGraph.setEdge(edge.source, edge.target);
-  });
-
-  dagre.layout(dagreGraph);
-
-  nodes.forEach((node) => {
-    const nodeWithPosition = dagreGraph.node(node.id);
-    node.position = {
-      x: nodeWithPosition.x - nodeWidth / 2,
-      y: nodeWithPosition.y - nodeHeight / 2,
-    };
-  });
+// Above this many nodes, nodes appear and re-arrange at once instead of with staggered
+// per-node animations, which would take minutes to play out
+const ANIMATED_NODE_LIMIT = 200;
+// However many items there are, the last one starts moving this soon
+const MAX_STAGGER_SECONDS = 1.5;
 
-  return { nodes, edges };
-};
+// Delay of the index-th of `count` items: `seconds` apart, squeezed so the whole stagger fits MAX_STAGGER_SECONDS
+const staggerDelay = (count, index, seconds) =>
+  count > ANIMATED_NODE_LIMIT ? 0 : index * Math.min(seconds, MAX_STAGGER_SECONDS / count);
+
+// Filter edits are batched into one reload, as typing a folder or name pattern changes them per keystroke
+const FILTER_DEBOUNCE_MS = 400;
 
-export default function RippleGraph({ files }) {
+// Renders the file/function/call graph the backend built for `projectId` at upload. Fetching,
+// conversion and layout run in a Web Worker (utils/graphWorker.js); nodes arrive in batches.
+// Filters and focus mode are applied by the server, so only the visible part is laid out.
+// Circular imports and calls can be outlined (see GraphCycles).
+// `packages` are the workspace package names offered as a filter.
+export default function RippleGraph({ projectId, packages }) {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
   const [highlightedNodes, setHighlightedNodes] = useState(new Set());
   const [graph, setGraph] = useState(null);
+  const [truncated, setTruncated] = useState(false);
   const [showTooltip, setShowTooltip] = useState(false);
   const [tooltipData, setTooltipData] = useState(null);
   const [layoutDirection, setLayoutDirection] = useState('TB');
   const [error, setError] = useState(null);
   const [progress, setProgress] = useState(0);
   const [animationPhase, setAnimationPhase] = useState('idle');
+  // { rendered, total } while node batches are still arriving
+  const [renderProgress, setRenderProgress] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
   const [showStats, setShowStats] = useState(true);
+  const [filters, setFilters] = useState(DEFAULT_GRAPH_FILTERS);
+  // Focus mode: only the node `focus.id` and what lies within `depth` hops of it are loaded
+  const [focus, setFocus] = useState(null);
+  // Hops followed by focus mode and by the ripple highlight
+  const [depth, setDepth] = useState('all');
+  const query = graphQuery(filters, focus?.id, depth);
+  const [appliedQuery, setAppliedQuery] = useState(query);
+  // { imports, calls } from the server, and the highlighted cycles: 'all', one cycle or null
+  const [cycles, setCycles] = useState(null);
+  const [activeCycle, setActiveCycle] = useState(null);
   const { theme } = useTheme();
+  const { navigate } = useNavigation();
+  const workerRef = useRef(null);
+  // Id of the worker job whose messages are still wanted
+  const jobIdRef = useRef(0);
+  // Read when a graph loads; changing direction afterwards only re-lays out (see onLayout)
+  const layoutDirectionRef = useRef(layoutDirection);
+  layoutDirectionRef.current = layoutDirection;
+  // An empty graph is only an error when nothing filtered it down
+  const filteredRef = useRef(false);
+  filteredRef.current = isFiltered(filters) || !!focus;
+  // The node focus mode centred on, as the server resolved it; it is rendered selected
+  const focusedIdRef = useRef(null);
 
-  // Parse files and build graph with enhanced progress tracking
   useEffect(() => {
-    if (!files || files.length === 0) return;
+    const timer = setTimeout(() => setAppliedQuery(query), FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
 
-    const buildGraph = async () => {
-      setIsLoading(true);
-      setError(null);
-      setProgress(0);
-      setAnimationPhase('parsing');
-      
-      try {
-        console.log('Starting enhanced graph build process...');
-        
-        // Filter for JavaScript/TypeScript files only
-        const jsFiles = files.filter(file => {
-          const extensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
-          return extensions.some(ext => file.filename.toLowerCase().endsWith(ext));
-        });
-        
-        if (jsFiles.length === 0) {
-          setError('No JavaScript/TypeScript files found in the uploaded project.');
-          setIsLoading(false);
-          setAnimationPhase('idle');
-          return;
-        }
-        
-        setProgress(15);
-        console.log(`Found ${jsFiles.length} JS/TS files to parse`);
-        
-        // Parse files with progress updates
-        setAnimationPhase('analyzing');
-        const parsedFiles = await parseFiles(jsFiles);
-        setProgress(40);
-        
-        if (parsedFiles.length === 0) {
-          setError('Failed to parse any files. Please check if the files contain valid JavaScript/TypeScript code.');
-          setIsLoading(false);
-          setAnimationPhase('idle');
-          return;
-        }
-        
-        console.log(`Successfully parsed ${parsedFiles.length} files`);
-        
-        // Build dependency graph
-        setAnimationPhase('building');
-        const dependencyGraph = buildDependencyGraph(parsedFiles);
-        setProgress(65);
-        
-        if (dependencyGraph.nodeCount() === 0) {
-          setError('No dependencies or functions found in the analyzed files.');
+  // Cycles are found over the whole graph, whatever part of it is shown
+  useEffect(() => {
+    if (!projectId) return;
+    const controller = new AbortController();
+    fetch(`${API_URL}/projects/${encodeURIComponent(projectId)}/cycles`, { signal: controller.signal })
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`status ${response.status}`)))
+      .then(data => setCycles({ imports: data.imports, calls: data.calls }))
+      .catch(err => {
+        if (err.name !== 'AbortError') console.warn('Could not load dependency cycles:', err.message);
+      });
+    return () => controller.abort();
+  }, [projectId]);
+
+  // One worker per graph view; its messages only touch state setters and refs
+  useEffect(() => {
+    const worker = new Worker(new URL('../utils/graphWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.jobId !== jobIdRef.current) return;
+
+      switch (message.type) {
+        case 'progress':
+          setAnimationPhase(message.phase);
+          setProgress(message.progress);
+          break;
+        case 'graph':
+          if (message.data.nodes.length === 0 && !filteredRef.current) {
+            jobIdRef.current++;
+            setError('No JavaScript/TypeScript files, dependencies or functions found in this project.');
+            setIsLoading(false);
+            setAnimationPhase('error');
+            break;
+          }
+          focusedIdRef.current = message.data.focus;
+          setGraph(graphFromJson(message.data));
+          setTruncated(message.data.truncated);
+          break;
+        case 'nodes': {
+          const animated = message.total <= ANIMATED_NODE_LIMIT;
+          const nodes = message.nodes.map(node => node.id === focusedIdRef.current ? { ...node, selected: true } : node);
+          // Small graphs fly in with staggered entrance animations; large ones are appended as they come
+          const batch = animated
+            ? nodes.map((node, index) => ({
+                ...node,
+                style: {
+                  ...node.style,
+                  opacity: 0,
+                  transform: 'scale(0.3) rotate(180deg)',
+                  transition: `all 0.8s cubic-bezier(0.34, 1.56, 0.64, 1) ${staggerDelay(message.total, index, 0.1)}s`,
+                },
+              }))
+            : nodes;
+          setNodes(nds => [...nds, ...batch]);
           setIsLoading(false);
+          setRenderProgress(prev => ({ rendered: (prev ? prev.rendered : 0) + batch.length, total: message.total }));
+          if (!message.done) break;
+
+          setEdges(animated
+            ? message.edges.map((edge, index) => ({
+                ...edge,
+                style: {
+                  ...edge.style,
+                  opacity: 0,
+                  strokeDasharray: '10,10',
+                  strokeDashoffset: '20',
+                  transition: `all 0.8s ease ${staggerDelay(message.edges.length, index, 0.05) + 0.5}s`,
+                },
+              }))
+            : message.edges);
+          setRenderProgress(null);
           setAnimationPhase('idle');
-          return;
+          setProgress(0);
+
+          // Animate in after a short delay
+          if (animated) {
+            setTimeout(() => {
+              setNodes(nds => nds.map(node => ({
+                ...node,
+                style: {
+                  ...node.style,
+                  opacity: 1,
+                  transform: 'scale(1) rotate(0deg)',
+                },
+              })));
+              
+              setEdges(eds => eds.map(edge => ({
+                ...edge,
+                style: {
+                  ...edge.style,
+                  opacity: 1,
+                  strokeDasharray: edge.data?.type === 'calls' ? '5,5' : 'none',
+                  strokeDashoffset: '0',
+                },
+              })));
+            }, 300);
+          }
+          console.log(`Graph rendered: ${message.total} nodes, ${message.edges.length} edges`);
+          break;
         }
-        
-        // Convert to React Flow format
-        setAnimationPhase('rendering');
-        const { nodes: flowNodes, edges: flowEdges } = graphToReactFlow(dependencyGraph);
-        setProgress(80);
-        
-        // Apply layout
-        setAnimationPhase('layouting');
-        const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(
-          flowNodes, 
-          flowEdges, 
-          layoutDirection
-        );
-        
-        setProgress(95);
-        
-        // Animate nodes appearing with staggered entrance
-        const animatedNodes = layoutedNodes.map((node, index) => ({
-          ...node,
-          style: {
-            ...node.style,
-            opacity: 0,
-            transform: 'scale(0.3) rotate(180deg)',
-            transition: `all 0.8s cubic-bezier(0.34, 1.56, 0.64, 1) ${index * 0.1}s`,
-          },
-        }));
-        
-        const animatedEdges = layoutedEdges.map((edge, index) => ({
-          ...edge,
-          style: {
-            ...edge.style,
-            opacity: 0,
-            strokeDasharray: '10,10',
-            strokeDashoffset: '20',
-            transition: `all 0.8s ease ${index * 0.05 + 0.5}s`,
-          },
-        }));
-        
-        setGraph(dependencyGraph);
-        setNodes(animatedNodes);
-        setEdges(animatedEdges);
-        
-        setProgress(100);
-        setAnimationPhase('complete');
-        
-        // Animate in after a short delay
-        setTimeout(() => {
-          setNodes(nds => nds.map(node => ({
+        case 'positions':
+          // Animate layout change with spring effect
+          setNodes(nds => nds.map((node, index) => ({
             ...node,
+            position: message.positions[node.id] || node.position,
             style: {
               ...node.style,
-              opacity: 1,
-              transform: 'scale(1) rotate(0deg)',
-            },
-          })));
-          
-          setEdges(eds => eds.map(edge => ({
-            ...edge,
-            style: {
-              ...edge.style,
-              opacity: 1,
-              strokeDasharray: edge.data?.type === 'calls' ? '5,5' : 'none',
-              strokeDashoffset: '0',
+              transition: `all 0.8s cubic-bezier(0.34, 1.56, 0.64, 1) ${staggerDelay(nds.length, index, 0.05)}s`,
             },
           })));
-        }, 300);
-        
-        console.log(`Enhanced graph built successfully: ${layoutedNodes.length} nodes, ${layoutedEdges.length} edges`);
-      } catch (error) {
-        console.error('Error building graph:', error);
-        setError(`Failed to build dependency graph: ${error.message}`);
-        setAnimationPhase('error');
-      } finally {
-        setTimeout(() => {
+          break;
+        case 'error':
+          console.error('Error loading graph:', message.message);
+          setError(`Failed to load dependency graph: ${message.message}`);
           setIsLoading(false);
-          setProgress(0);
-          if (animationPhase !== 'error') {
-            setAnimationPhase('idle');
-          }
-        }, 1000);
+          setRenderProgress(null);
+          setAnimationPhase('error');
+          break;
       }
     };
 
-    buildGraph();
-  }, [files, layoutDirection, setNodes, setEdges]);
+    return () => worker.terminate();
+  }, [setNodes, setEdges]);
 
-  // Enhanced node click handler with smooth animations
-  const onNodeClick = useCallback((event, node) => {
-    if (!graph) return;
+  // Load the project's graph; leaving (or switching projects) cancels a load in flight
+  useEffect(() => {
+    if (!projectId || !workerRef.current) return;
+    const worker = workerRef.current;
+    const jobId = ++jobIdRef.current;
 
-    console.log('Node clicked:', node.id);
-    setSelectedNode(node.id);
-    
-    // Find downstream and upstream nodes
-    const downstream = findDownstreamNodes(graph, node.id);
-    const upstream = findUpstreamNodes(graph, node.id);
-    
-    const highlighted = new Set([node.id, ...downstream, ...upstream]);
-    setHighlightedNodes(highlighted);
+    setIsLoading(true);
+    setError(null);
+    setProgress(0);
+    setAnimationPhase('fetching');
+    setRenderProgress(null);
+    setGraph(null);
+    setNodes([]);
+    setEdges([]);
+    setSelectedNode(null);
+    setHighlightedNodes(new Set());
+    setActiveCycle(null);
 
-    console.log(`Ripple effect: ${highlighted.size} nodes highlighted`);
+    worker.postMessage({
+      type: 'load',
+      jobId,
+      url: `${API_URL}/projects/${encodeURIComponent(projectId)}/graph${appliedQuery ? `?${appliedQuery}` : ''}`,
+      direction: layoutDirectionRef.current,
+    });
+    return () => worker.postMessage({ type: 'cancel', jobId });
+  }, [projectId, appliedQuery, reloadKey, setNodes, setEdges]);
+
+  const cancelLoading = useCallback(() => {
+    workerRef.current?.postMessage({ type: 'cancel', jobId: jobIdRef.current });
+    jobIdRef.current++;
+    setIsLoading(false);
+    setRenderProgress(null);
+    setAnimationPhase('idle');
+    setError('Loading the dependency graph was cancelled.');
+  }, []);
+
+  // Bring `highlighted` nodes and the edges between them forward and fade the rest
+  const spotlight = useCallback((highlighted) => {
+    setHighlightedNodes(highlighted);
 
     // Enhanced node animations with wave effect
     setNodes((nds) =>
@@ -468,7 +517,7 @@ export default function RippleGraph({ files }) {
           ...n.style,
           opacity: highlighted.has(n.id) ? 1 : 0.15,
           transform: highlighted.has(n.id) ? 'scale(1.15) rotate(2deg)' : 'scale(0.9)',
-          transition: `all 0.6s cubic-bezier(0.34, 1.56, 0.64, 1) ${index * 0.05}s`,
+          transition: `all 0.6s cubic-bezier(0.34, 1.56, 0.64, 1) ${staggerDelay(nds.length, index, 0.05)}s`,
           filter: highlighted.has(n.id) ? 'brightness(1.3) saturate(1.2)' : 'brightness(0.6) saturate(0.8)',
           zIndex: highlighted.has(n.id) ? 1000 : 1,
         },
@@ -483,14 +532,45 @@ export default function RippleGraph({ files }) {
           ...e.style,
           opacity: highlighted.has(e.source) && highlighted.has(e.target) ? 1 : 0.05,
           strokeWidth: highlighted.has(e.source) && highlighted.has(e.target) ? 5 : 1,
-          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${index * 0.03}s`,
+          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${staggerDelay(eds.length, index, 0.03)}s`,
           filter: highlighted.has(e.source) && highlighted.has(e.target) ? 'drop-shadow(0 0 12px currentColor)' : 'none',
           strokeDasharray: highlighted.has(e.source) && highlighted.has(e.target) ? '8,4' : e.style.strokeDasharray,
         },
         animated: highlighted.has(e.source) && highlighted.has(e.target),
       }))
     );
-  }, [graph, setNodes, setEdges]);
+  }, [setNodes, setEdges]);
+
+  // Enhanced node click handler with smooth animations
+  const onNodeClick = useCallback((event, node) => {
+    if (!graph) return;
+
+    console.log('Node clicked:', node.id);
+    setSelectedNode(node.id);
+    
+    // Find downstream and upstream nodes
+    const maxDepth = depth === 'all' ? Infinity : Number(depth);
+    const downstream = findDownstreamNodes(graph, node.id, maxDepth);
+    const upstream = findUpstreamNodes(graph, node.id, maxDepth);
+    
+    const highlighted = new Set([node.id, ...downstream, ...upstream]);
+    console.log(`Ripple effect: ${highlighted.size} nodes highlighted`);
+    spotlight(highlighted);
+  }, [graph, depth, spotlight]);
+
+  // Reload with only the selected node's neighbourhood
+  const focusOnSelected = useCallback(() => {
+    if (!graph || !selectedNode) return;
+    setFocus({ id: selectedNode, label: graph.node(selectedNode)?.label || selectedNode });
+  }, [graph, selectedNode]);
+
+  // Double-click opens the file (or function) in the code viewer
+  const onNodeDoubleClick = useCallback((event, node) => {
+    if (node.data.type === 'external') return;
+    navigate(node.data.type === 'file'
+      ? { file: node.data.filename }
+      : { file: node.data.filename, line: node.data.line });
+  }, [navigate]);
 
   // Handle node hover for tooltip
   const onNodeMouseEnter = useCallback((event, node) => {
@@ -518,7 +598,7 @@ export default function RippleGraph({ files }) {
           ...n.style,
           opacity: 1,
           transform: 'scale(1) rotate(0deg)',
-          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${index * 0.03}s`,
+          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${staggerDelay(nds.length, index, 0.03)}s`,
           filter: 'brightness(1) saturate(1)',
           zIndex: 1,
         },
@@ -532,7 +612,7 @@ export default function RippleGraph({ files }) {
           ...e.style,
           opacity: 1,
           strokeWidth: e.data?.type === 'imports' ? 3 : e.data?.type === 'calls' ? 2 : 1,
-          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${index * 0.02}s`,
+          transition: `all 0.6s cubic-bezier(0.4, 0, 0.2, 1) ${staggerDelay(eds.length, index, 0.02)}s`,
           filter: 'none',
           strokeDasharray: e.data?.type === 'calls' ? '5,5' : e.data?.type === 'contains' ? '3,3' : 'none',
         },
@@ -541,32 +621,34 @@ export default function RippleGraph({ files }) {
     );
   }, [setNodes, setEdges]);
 
-  // Re-layout graph with animation
+  // Outline the members and edges of the chosen cycles in red; a single cycle is also spotlighted
+  const selectCycle = useCallback((selection) => {
+    const chosen = selection === 'all' ? [...cycles.imports, ...cycles.calls] : selection ? [selection] : [];
+    const members = new Set(chosen.flatMap(cycle => cycle.members.map(member => member.id)));
+    const cycleEdges = new Set(chosen.flatMap(cycle => cycle.edges.map(edge => `${edge.source}->${edge.target}`)));
+
+    setActiveCycle(selection);
+    setNodes(nds => nds.map(n => ({ ...n, className: members.has(n.id) ? 'cycle-node' : undefined })));
+    setEdges(eds => eds.map(e => ({ ...e, className: cycleEdges.has(`${e.source}->${e.target}`) ? 'cycle-edge' : undefined })));
+    if (selection && selection !== 'all') {
+      setSelectedNode(null);
+      spotlight(members);
+    } else {
+      clearSelection();
+    }
+  }, [cycles, spotlight, clearSelection, setNodes, setEdges]);
+
+  // Re-layout in the worker; the new positions arrive as a 'positions' message
   const onLayout = useCallback((direction) => {
     setLayoutDirection(direction);
-    const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(
-      nodes,
-      edges,
-      direction
-    );
-    
-    // Animate layout change with spring effect
-    setNodes(layoutedNodes.map((node, index) => ({
-      ...node,
-      style: {
-        ...node.style,
-        transition: `all 0.8s cubic-bezier(0.34, 1.56, 0.64, 1) ${index * 0.05}s`,
-      },
-    })));
-    
-    setEdges(layoutedEdges.map((edge, index) => ({
-      ...edge,
-      style: {
-        ...edge.style,
-        transition: `all 0.8s cubic-bezier(0.4, 0, 0.2, 1) ${index * 0.03}s`,
-      },
-    })));
-  }, [nodes, edges, setNodes, setEdges]);
+    workerRef.current?.postMessage({
+      type: 'layout',
+      jobId: ++jobIdRef.current,
+      nodes: nodes.map(node => ({ id: node.id })),
+      edges: edges.map(edge => ({ source: edge.source, target: edge.target })),
+      direction,
+    });
+  }, [nodes, edges]);
 
   // Calculate statistics
   const stats = useMemo(() => {
@@ -614,15 +696,13 @@ export default function RippleGraph({ files }) {
           <p className={`text-2xl font-bold mb-4 ${
             theme === 'dark' ? 'text-white' : 'text-gray-900'
           }`}>
-            Building dependency graph...
+            Loading dependency graph...
           </p>
           
           <p className={`text-lg mb-6 ${
             theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
           }`}>
-            {animationPhase === 'parsing' && '🔍 Parsing files...'}
-            {animationPhase === 'analyzing' && '🧠 Analyzing code structure...'}
-            {animationPhase === 'building' && '🏗️ Building dependency graph...'}
+            {animationPhase === 'fetching' && '📡 Loading dependency graph...'}
             {animationPhase === 'rendering' && '🎨 Preparing visualization...'}
             {animationPhase === 'layouting' && '📐 Calculating layout...'}
             {animationPhase === 'complete' && '✨ Almost ready...'}
@@ -643,8 +723,19 @@ export default function RippleGraph({ files }) {
           <p className={`text-sm ${
             theme === 'dark' ? 'text-gray-500' : 'text-gray-500'
           }`}>
-            Analyzing {files?.length || 0} files • Creating interactive visualization
+            Creating interactive visualization
           </p>
+          
+          <button
+            onClick={cancelLoading}
+            className={`mt-6 text-sm px-5 py-2 rounded-xl font-medium transition-all duration-300 ${
+              theme === 'dark'
+                ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            Cancel
+          </button>
         </div>
       </div>
     );
@@ -678,12 +769,22 @@ export default function RippleGraph({ files }) {
           }`}>
             Try uploading a project with JavaScript or TypeScript files
           </p>
+          <button
+            onClick={() => setReloadKey(key => key + 1)}
+            className={`mt-6 text-sm px-5 py-2 rounded-xl font-medium transition-all duration-300 ${
+              theme === 'dark'
+                ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            Reload graph
+          </button>
         </div>
       </div>
     );
   }
 
-  if (!files || files.length === 0) {
+  if (!projectId) {
     return (
       <div className={`h-full flex items-center justify-center ${
         theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
@@ -721,6 +822,7 @@ export default function RippleGraph({ files }) {
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onNodeClick={onNodeClick}
+        onNodeDoubleClick={onNodeDoubleClick}
         onNodeMouseEnter={onNodeMouseEnter}
         onNodeMouseLeave={onNodeMouseLeave}
         onPaneClick={clearSelection}
@@ -745,7 +847,7 @@ export default function RippleGraph({ files }) {
         <MiniMap 
           nodeColor={(node) => {
             if (highlightedNodes.has(node.id)) {
-              return node.data.type === 'file' ? '#3b82f6' : '#8b5cf6';
+              return node.data.type === 'file' ? '#3b82f6' : node.data.type === 'external' ? '#f59e0b' : '#8b5cf6';
             }
             return theme === 'dark' ? '#6b7280' : '#d1d5db';
           }}
@@ -843,8 +945,40 @@ export default function RippleGraph({ files }) {
                       </span>
                     </div>
                   </div>
+
+                  {stats.externalNodes > 0 && (
+                    <div className={`col-span-2 p-3 rounded-xl transition-all duration-300 ${
+                      theme === 'dark' ? 'bg-amber-900/30 hover:bg-amber-900/40' : 'bg-amber-100 hover:bg-amber-200'
+                    }`}>
+                      <div className="flex items-center justify-between">
+                        <span className="flex items-center text-sm">
+                          <span className="mr-2 text-lg">📦</span>
+                          External packages
+                        </span>
+                        <span className={`font-mono font-bold text-lg ${
+                          theme === 'dark' ? 'text-amber-400' : 'text-amber-600'
+                        }`}>
+                          {stats.externalNodes}
+                        </span>
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
+              {renderProgress && (
+                <p className={`mt-4 text-xs ${
+                  theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+                }`}>
+                  Rendering {renderProgress.rendered} of {renderProgress.total} nodes...
+                </p>
+              )}
+              {stats && truncated && (
+                <p className={`mt-4 text-xs ${
+                  theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+                }`}>
+                  Large project: showing the first {stats.totalNodes} nodes
+                </p>
+              )}
             </div>
           )}
           
@@ -863,7 +997,8 @@ export default function RippleGraph({ files }) {
             <div className="space-y-3">
               <button
                 onClick={() => onLayout('TB')}
-                className={`w-full text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
+                disabled={!!renderProgress}
+                className={`w-full disabled:opacity-50 disabled:cursor-not-allowed text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
                   layoutDirection === 'TB'
                     ? theme === 'dark'
                       ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white shadow-lg shadow-blue-500/25 scale-105'
@@ -878,7 +1013,8 @@ export default function RippleGraph({ files }) {
               </button>
               <button
                 onClick={() => onLayout('LR')}
-                className={`w-full text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
+                disabled={!!renderProgress}
+                className={`w-full disabled:opacity-50 disabled:cursor-not-allowed text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
                   layoutDirection === 'LR'
                     ? theme === 'dark'
                       ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white shadow-lg shadow-blue-500/25 scale-105'
@@ -912,6 +1048,24 @@ export default function RippleGraph({ files }) {
               }`}>
                 Showing <span className="font-bold text-blue-500">{highlightedNodes.size}</span> connected nodes
               </div>
+              <div className={`text-xs mb-4 ${
+                theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                Double-click a node to open it in the editor
+              </div>
+              {focus?.id !== selectedNode && (
+                <button
+                  onClick={focusOnSelected}
+                  className={`w-full mb-3 text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
+                    theme === 'dark'
+                      ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white hover:shadow-md hover:scale-105'
+                      : 'bg-gradient-to-r from-blue-500 to-blue-600 text-white hover:shadow-md hover:scale-105'
+                  }`}
+                >
+                  <span className="mr-3 text-lg">🎯</span>
+                  Focus on this node
+                </button>
+              )}
               <button
                 onClick={clearSelection}
                 className={`w-full text-sm px-5 py-4 rounded-xl font-medium transition-all duration-300 flex items-center justify-center ${
@@ -927,6 +1081,29 @@ export default function RippleGraph({ files }) {
           )}
         </Panel>
         
+        <Panel position="top-right" className="space-y-4">
+          <GraphFilters
+            filters={filters}
+            onChange={setFilters}
+            packages={packages}
+            depth={depth}
+            onDepthChange={setDepth}
+            focusLabel={focus?.label}
+            onExitFocus={() => setFocus(null)}
+          />
+          {cycles && <GraphCycles cycles={cycles} active={activeCycle} onSelect={selectCycle} />}
+        </Panel>
+
+        {graph && !renderProgress && nodes.length === 0 && (
+          <Panel position="top-center">
+            <div className={`px-5 py-3 rounded-xl shadow-lg text-sm ${
+              theme === 'dark' ? 'bg-gray-800 text-gray-300 border border-gray-700' : 'bg-white text-gray-700 border border-gray-200'
+            }`}>
+              No nodes match the current filters
+            </div>
+          </Panel>
+        )}
+
         {/* Toggle Stats Button */}
         {!showStats && (
           <Panel position="top-left">
@@ -1,22 +1,54 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, FileCode, Loader2, Check, AlertCircle, Sparkles } from 'lucide-react';
+import React, { useState, useCallback, useEffect } from 'react';
+import { Upload, FileCode, Loader2, Check, AlertCircle, Sparkles, FolderOpen, Trash2, Clock } from 'lucide-react';
 import axios from 'axios';
-import { ProjectData } from '../types';
+import { ProjectData, ProjectMeta } from '../types';
 import { ThemeToggle } from './ThemeToggle';
 import { useTheme } from '../hooks/useTheme';
 
 interface UploadPageProps {
   onUploadComplete: (projectData: ProjectData) => void;
+  onOpenProject: (projectId: string) => Promise<void>;
 }
 
-export const UploadPage: React.FC<UploadPageProps> = ({ onUploadComplete }) => {
+export const UploadPage: React.FC<UploadPageProps> = ({ onUploadComplete, onOpenProject }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadStatus, setUploadStatus] = useState<'idle' | 'uploading' | 'processing' | 'complete' | 'error'>('idle');
   const [errorMessage, setErrorMessage] = useState('');
+  const [projects, setProjects] = useState<ProjectMeta[]>([]);
+  const [openingProjectId, setOpeningProjectId] = useState<string | null>(null);
   const { theme } = useTheme();
 
+  // Load previously uploaded projects so they can be reopened without re-uploading
+  useEffect(() => {
+    axios.get('http://localhost:3001/api/projects')
+      .then(response => setProjects(response.data.projects || []))
+      .catch(error => console.error('Error loading projects:', error));
+  }, []);
+
+  const handleOpenProject = async (projectId: string) => {
+    setOpeningProjectId(projectId);
+    try {
+      await onOpenProject(projectId);
+    } catch {
+      setErrorMessage('Failed to open project');
+      setUploadStatus('error');
+    } finally {
+      setOpeningProjectId(null);
+    }
+  };
+
+  const handleDeleteProject = async (project: ProjectMeta) => {
+    if (!window.confirm(`Delete project "${project.name}"? This removes its files and cached analysis.`)) return;
+    try {
+      await axios.delete(`http://localhost:3001/api/projects/${encodeURIComponent(project.id)}`);
+      setProjects(prev => prev.filter(p => p.id !== project.id));
+    } catch (error) {
+      console.error('Error deleting project:', error);
+    }
+  };
+
   const handleDragOver = useCallback((e: React.DragEvent) => {
     e.preventDefault();
     setIsDragOver(true);
@@ -334,6 +366,78 @@ export const UploadPage: React.FC<UploadPageProps> = ({ onUploadComplete }) => {
             </div>
           </div>
         </div>
+        {projects.length > 0 && (
+          <div className={`mt-8 backdrop-blur-xl rounded-3xl p-6 transition-all duration-300 ${
+            theme === 'dark'
+              ? 'bg-gray-800/80 border border-gray-700/50'
+              : 'bg-white/80 border border-white/20 shadow-xl shadow-blue-500/10'
+          }`}>
+            <h3 className={`text-lg font-bold mb-4 ${
+              theme === 'dark' ? 'text-gray-200' : 'text-gray-800'
+            }`}>
+              Recent Projects
+            </h3>
+            <div className="space-y-2">
+              {projects.map(project => (
+                <div
+                  key={project.id}
+                  className={`flex items-center justify-between p-3 rounded-xl border transition-colors ${
+                    theme === 'dark'
+                      ? 'border-gray-700 hover:bg-gray-700/50'
+                      : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="min-w-0">
+                    <div className={`font-medium truncate ${
+                      theme === 'dark' ? 'text-white' : 'text-gray-900'
+                    }`}>
+                      {project.name}
+                    </div>
+                    <div className={`flex items-center text-xs space-x-3 ${
+                      theme === 'dark' ? 'text-gray-400' : 'text-gray-500'
+                    }`}>
+                      <span className="flex items-center">
+                        <Clock className="w-3 h-3 mr-1" />
+                        {new Date(project.uploadedAt).toLocaleString()}
+                      </span>
+                      <span>{project.totalFiles} files</span>
+                      <span>{project.totalLines} lines</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <button
+                      onClick={() => handleOpenProject(project.id)}
+                      disabled={openingProjectId !== null}
+                      className={`flex items-center px-3 py-1.5 text-sm rounded-lg font-medium transition-colors disabled:opacity-50 ${
+                        theme === 'dark'
+                          ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                          : 'bg-blue-500 hover:bg-blue-600 text-white'
+                      }`}
+                    >
+                      {openingProjectId === project.id ? (
+                        <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                      ) : (
+                        <FolderOpen className="w-4 h-4 mr-1" />
+                      )}
+                      Open
+                    </button>
+                    <button
+                      onClick={() => handleDeleteProject(project)}
+                      title="Delete project"
+                      className={`p-1.5 rounded-lg transition-colors ${
+                        theme === 'dark'
+                          ? 'text-gray-400 hover:bg-red-900/30 hover:text-red-400'
+                          : 'text-gray-500 hover:bg-red-50 hover:text-red-600'
+                      }`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,83 @@
+import React, { useState, useCallback, createContext, useContext, ReactNode } from 'react';
+
+// A place in the project: a file, optionally a line (range) inside it
+export interface NavigationLocation {
+  file: string;
+  line?: number;
+  endLine?: number;
+  column?: number;
+}
+
+interface NavigationContextType {
+  current: NavigationLocation | null;
+  navigate: (location: NavigationLocation) => void;
+  goBack: () => void;
+  goForward: () => void;
+  canGoBack: boolean;
+  canGoForward: boolean;
+}
+
+interface NavigationHistory {
+  entries: NavigationLocation[];
+  index: number;
+}
+
+const MAX_HISTORY = 50;
+
+const NavigationContext = createContext<NavigationContextType | undefined>(undefined);
+
+export const useNavigation = () => {
+  const context = useContext(NavigationContext);
+  if (context === undefined) {
+    throw new Error('useNavigation must be used within a NavigationProvider');
+  }
+  return context;
+};
+
+const isSameLocation = (a: NavigationLocation, b: NavigationLocation) =>
+  a.file === b.file && a.line === b.line && a.endLine === b.endLine && a.column === b.column;
+
+interface NavigationProviderProps {
+  children: ReactNode;
+}
+
+// Lets any panel (chat sources, search hits, symbols, graph nodes) open a location in the
+// code viewer, with browser-style back/forward history
+export const NavigationProvider: React.FC<NavigationProviderProps> = ({ children }) => {
+  const [history, setHistory] = useState<NavigationHistory>({ entries: [], index: -1 });
+
+  const navigate = useCallback((location: NavigationLocation) => {
+    setHistory(prev => {
+      const current = prev.entries[prev.index];
+      // Re-opening the current location reveals it again without adding a history entry
+      if (current && isSameLocation(current, location)) {
+        const entries = [...prev.entries];
+        entries[prev.index] = { ...location };
+        return { entries, index: prev.index };
+      }
+      const entries = [...prev.entries.slice(0, prev.index + 1), location].slice(-MAX_HISTORY);
+      return { entries, index: entries.length - 1 };
+    });
+  }, []);
+
+  const goBack = useCallback(() => {
+    setHistory(prev => prev.index > 0 ? { ...prev, index: prev.index - 1 } : prev);
+  }, []);
+
+  const goForward = useCallback(() => {
+    setHistory(prev => prev.index < prev.entries.length - 1 ? { ...prev, index: prev.index + 1 } : prev);
+  }, []);
+
+  return (
+    <NavigationContext.Provider value={{
+      current: history.entries[history.index] ?? null,
+      navigate,
+      goBack,
+      goForward,
+      canGoBack: history.index > 0,
+      canGoForward: history.index < history.entries.length - 1,
+    }}>
+      {children}
+    </NavigationContext.Provider>
+  );
+};
@@ -7,28 +7,78 @@ export interface FileNode {
   extension?: string;
 }
 
+export type SymbolKind =
+  | 'function' | 'class' | 'interface' | 'variable' | 'import' | 'export'
+  | 'method' | 'property' | 'constructor' | 'getter' | 'setter' | 'enum' | 'type' | 'namespace';
+
 export interface CodeSymbol {
   name: string;
-  kind: 'function' | 'class' | 'interface' | 'variable' | 'import' | 'export';
+  kind: SymbolKind;
   line: number;
   column: number;
+  endLine?: number;
   signature?: string;
+  exported: boolean;
+  visibility?: 'public' | 'protected' | 'private';
+  isStatic?: boolean;
+  parent?: string;
+}
+
+export interface ImportInfo {
+  specifier: string;
+  resolvedPath: string | null;
+  isExternal: boolean;
+  line: number;
 }
 
 export interface ParsedFile {
   path: string;
   content: string;
   symbols: CodeSymbol[];
-  imports: string[];
+  imports: ImportInfo[];
   exports: string[];
+  package?: string;
+}
+
+export type WorkspaceTool = 'npm' | 'yarn' | 'pnpm' | 'lerna' | 'nx' | 'turborepo';
+
+export interface WorkspacePackage {
+  name: string;
+  version: string | null;
+  path: string;
+  relativePath: string;
+  manifest: string;
+  private: boolean;
+  dependencies: Record<string, string>;
+  devDependencies: Record<string, string>;
+  internalDependencies: string[];
+  entryPoints: Record<string, string>;
+}
+
+export interface WorkspaceInfo {
+  tools: WorkspaceTool[];
+  packages: WorkspacePackage[];
 }
 
 export interface ProjectData {
   files: FileNode[];
   parsedFiles: ParsedFile[];
+  projectId: string;
   projectName: string;
   totalFiles: number;
   totalLines: number;
+  rootPath?: string;
+  workspace?: WorkspaceInfo; // missing on projects analyzed before workspace detection
+}
+
+export interface ProjectMeta {
+  id: string;
+  name: string;
+  originalFileName: string;
+  uploadedAt: string;
+  totalFiles: number;
+  totalLines: number;
+  parsedFiles: number;
 }
 
 export interface SearchResult {
@@ -38,4 +88,98 @@ export interface SearchResult {
   context: string;
   symbolName: string;
   symbolKind: string;
-}
\ No newline at end of file
+  score?: number;
+}
+
+export interface EditorTarget {
+  line: number;
+  endLine?: number;
+  column?: number;
+}
+
+// A code range returned by the backend language service (definitions, references)
+export interface CodeLocation {
+  file: string;
+  relativePath: string;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+  preview: string;
+  isDefinition?: boolean;
+}
+
+export interface QuickInfo {
+  kind: string;
+  signature: string;
+  documentation: string;
+  tags: { name: string; text: string }[];
+  range: { line: number; column: number; endLine: number; endColumn: number };
+  declaration: CodeLocation | null;
+}
+
+export interface EditorSelection {
+  startLine: number;
+  endLine: number;
+  text: string;
+}
+export interface TextSearchMatch {
+  file: string;
+  relativePath: string;
+  line: number;
+  column: number;
+  length: number;
+  text: string;
+  before: string[];
+  after: string[];
+}
+
+export interface TextSearchSummary {
+  totalMatches: number;
+  filesSearched: number;
+  filesMatched: number;
+  truncated: boolean;
+  timedOut: boolean;
+}
+
+export interface ImpactedNode {
+  id: string;
+  type: 'file' | 'function' | 'external';
+  name: string;
+  filename: string | null;
+  relativePath: string | null;
+  line: number | null;
+  package: string | null;
+  distance: number;
+  via: { id: string; name: string; edge: 'imports' | 'calls' | 'contains' } | null;
+}
+
+export interface ImpactReport {
+  projectId: string;
+  createdAt: string;
+  changes: string[];
+  unresolved: string[];
+  functions: ImpactedNode[];
+  files: ImpactedNode[];
+  tests: ImpactedNode[];
+  packages: { name: string; distance: number; files: number }[];
+  externals: ImpactedNode[];
+}
+
+export interface DeadCodeLocation {
+  name: string;
+  filename: string;
+  relativePath: string;
+  line: number;
+  package: string | null;
+}
+
+export interface DeadCodeReport {
+  projectId: string;
+  createdAt: string;
+  entryPoints: { filename: string; relativePath: string; reason: 'package' | 'bin' | 'script' | 'html' | 'convention' | 'configured' | 'unimported' }[];
+  unusedExports: DeadCodeLocation[];
+  uncalledFunctions: (DeadCodeLocation & { id: string })[];
+  unreachableFiles: { filename: string; relativePath: string; package: string | null }[];
+  unusedDependencies: { name: string; version: string; package: string; manifest: string; dev: boolean }[];
+}
@@ -0,0 +1,42 @@
+import dagre from 'dagre';
+
+// Enhanced layout algorithm with better spacing and positioning
+export const getLayoutedElements = (nodes, edges, direction = 'TB') => {
+  const dagreGraph = new dagre.graphlib.Graph();
+  dagreGraph.setDefaultEdgeLabel(() => ({}));
+  
+  const nodeWidth = 200;
+  const nodeHeight = 120;
+  const rankSep = direction === 'TB' ? 250 : 300;
+  const nodeSep = direction === 'TB' ? 150 : 200;
+  
+  dagreGraph.setGraph({ 
+    rankdir: direction, 
+    ranksep: rankSep, 
+    nodesep: nodeSep,
+    marginx: 100,
+    marginy: 100,
+    acyclicer: 'greedy',
+    ranker: 'tight-tree'
+  });
+
+  nodes.forEach((node) => {
+    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight });
+  });
+
+  edges.forEach((edge) => {
+    dagreGraph.setEdge(edge.source, edge.target);
+  });
+
+  dagre.layout(dagreGraph);
+
+  nodes.forEach((node) => {
+    const nodeWithPosition = dagreGraph.node(node.id);
+    node.position = {
+      x: nodeWithPosition.x - nodeWidth / 2,
+      y: nodeWithPosition.y - nodeHeight / 2,
+    };
+  });
+
+  return { nodes, edges };
+};
@@ -0,0 +1,115 @@
+import { graphFromJson, graphToReactFlow } from './graphBuilder';
+import { getLayoutedElements } from './graphLayout';
+
+// Runs the graph pipeline off the main thread: download, conversion to React Flow elements and
+// dagre layout. Every message carries the `jobId` it answers, so the page can drop stale results.
+//
+// In:  { type: 'load', jobId, url, direction }              fetch a project's graph and lay it out
+//      { type: 'layout', jobId, nodes, edges, direction }   re-layout ({ id } nodes, { source, target } edges)
+//      { type: 'cancel', jobId }
+// Out: { type: 'progress', phase, progress }                 progress is 0-100
+//      { type: 'graph', data }                               the graph as served ({ nodes, edges, focus, ... })
+//      { type: 'nodes', nodes, edges, total, done }          laid-out nodes in batches; edges come with the last
+//      { type: 'positions', positions }                      { [nodeId]: { x, y } } after a re-layout
+//      { type: 'error', message }
+
+// Nodes are posted in batches so the page can render a large graph progressively
+const BATCH_SIZE = 250;
+
+let currentJob = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'cancel') {
+    if (currentJob && currentJob.id === message.jobId) cancel(currentJob);
+    return;
+  }
+
+  // A new job supersedes whatever is still running
+  if (currentJob) cancel(currentJob);
+  const job = { id: message.jobId, controller: new AbortController(), cancelled: false };
+  currentJob = job;
+
+  const run = message.type === 'load' ? loadGraph : relayout;
+  run(job, message).catch(error => {
+    if (!job.cancelled) post(job, 'error', { message: error.message });
+  });
+};
+
+function cancel(job) {
+  job.cancelled = true;
+  job.controller.abort();
+}
+
+function post(job, type, payload = {}) {
+  if (!job.cancelled) self.postMessage({ type, jobId: job.id, ...payload });
+}
+
+// Let queued messages (a cancel) in between steps
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function loadGraph(job, { url, direction }) {
+  post(job, 'progress', { phase: 'fetching', progress: 0 });
+  const response = await fetch(url, { signal: job.controller.signal });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  const data = await readJson(response, job);
+  post(job, 'graph', { data });
+  // Filters can leave nothing to show; the page decides whether that is an error
+  if (data.nodes.length === 0) {
+    post(job, 'nodes', { nodes: [], edges: [], total: 0, done: true });
+    return;
+  }
+
+  await yieldToMessages();
+  if (job.cancelled) return;
+  post(job, 'progress', { phase: 'rendering', progress: 45 });
+  const { nodes, edges } = graphToReactFlow(graphFromJson(data));
+
+  await yieldToMessages();
+  if (job.cancelled) return;
+  post(job, 'progress', { phase: 'layouting', progress: 55 });
+  getLayoutedElements(nodes, edges, direction);
+
+  for (let start = 0; start < nodes.length; start += BATCH_SIZE) {
+    await yieldToMessages();
+    if (job.cancelled) return;
+    const end = Math.min(start + BATCH_SIZE, nodes.length);
+    const done = end === nodes.length;
+    post(job, 'progress', { phase: 'complete', progress: 85 + Math.round(15 * end / nodes.length) });
+    post(job, 'nodes', { nodes: nodes.slice(start, end), edges: done ? edges : [], total: nodes.length, done });
+  }
+}
+
+async function relayout(job, { nodes, edges, direction }) {
+  getLayoutedElements(nodes, edges, direction);
+  await yieldToMessages();
+  post(job, 'positions', { positions: Object.fromEntries(nodes.map(node => [node.id, node.position])) });
+}
+
+// Read a JSON body, reporting download progress (0-40) when the size is known
+async function readJson(response, job) {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body || !total) return response.json();
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    post(job, 'progress', { phase: 'fetching', progress: Math.round(40 * received / total) });
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
@@ -0,0 +1,134 @@
+import axios from 'axios';
+import type { Monaco } from '@monaco-editor/react';
+import { CodeLocation, QuickInfo } from '../types';
+import { NavigationLocation } from '../hooks/useNavigation';
+
+const API_URL = 'http://localhost:3001/api';
+const LANGUAGES = ['typescript', 'javascript'];
+
+// Providers are registered once per Monaco instance, so the current project and the
+// navigation callback live here and are updated by CodeViewer
+const context: {
+  projectId: string | null;
+  openLocation: ((location: NavigationLocation) => void) | null;
+} = { projectId: null, openLocation: null };
+
+// Monaco model URI -> project file path
+const fileByUri = new Map<string, string>();
+let registered = false;
+
+export const setLanguageFeaturesContext = (projectId: string, openLocation: (location: NavigationLocation) => void) => {
+  context.projectId = projectId;
+  context.openLocation = openLocation;
+};
+
+// @monaco-editor/react creates models with Uri.parse(path); remember which file each one belongs to
+export const trackModelFile = (monaco: Monaco, file: string) => {
+  const uri = monaco.Uri.parse(file);
+  fileByUri.set(uri.toString(), file);
+  return uri;
+};
+
+// Ask the backend language service about the symbol at a position
+const lookup = async (
+  kind: 'definition' | 'references' | 'quickinfo',
+  model: { uri: { toString(): string } },
+  position: { lineNumber: number; column: number },
+) => {
+  const file = fileByUri.get(model.uri.toString());
+  if (!file || !context.projectId) return null;
+  try {
+    const response = await axios.get(`${API_URL}/${kind}`, {
+      params: { project: context.projectId, file, line: position.lineNumber, column: position.column },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error looking up ${kind}:`, error);
+    return null;
+  }
+};
+
+// Render quick info like VS Code: signature as code, then docs, JSDoc tags and where it is declared
+const quickInfoToMarkdown = (info: QuickInfo) => {
+  const contents = [{ value: '```typescript\n' + info.signature + '\n```' }];
+  if (info.documentation) contents.push({ value: info.documentation });
+  if (info.tags.length > 0) {
+    contents.push({ value: info.tags.map(tag => `*@${tag.name}*${tag.text ? ` — ${tag.text}` : ''}`).join('\n\n') });
+  }
+  if (info.declaration) {
+    contents.push({ value: `Declared in \`${info.declaration.relativePath}:${info.declaration.line}\`` });
+  }
+  return contents;
+};
+
+// Peek views and Ctrl+hover previews need a model for every file they show
+const ensureModels = async (monaco: Monaco, locations: CodeLocation[]) => {
+  const files = [...new Set(locations.map(location => location.file))];
+  await Promise.all(files.map(async file => {
+    const uri = trackModelFile(monaco, file);
+    if (monaco.editor.getModel(uri)) return;
+    try {
+      const response = await axios.get(`${API_URL}/file-content?path=${encodeURIComponent(file)}`);
+      if (!monaco.editor.getModel(uri)) monaco.editor.createModel(response.data.content, undefined, uri);
+    } catch (error) {
+      console.error('Error loading file for preview:', error);
+    }
+  }));
+};
+
+const toMonacoLocations = async (monaco: Monaco, locations: CodeLocation[]) => {
+  await ensureModels(monaco, locations);
+  return locations.map(location => ({
+    uri: trackModelFile(monaco, location.file),
+    range: new monaco.Range(location.line, location.column, location.endLine, location.endColumn),
+  }));
+};
+
+// Go to definition (Ctrl+click, F12), find all references (Shift+F12) and hover info across the
+// whole uploaded project, answered by the backend instead of Monaco's single-file TypeScript worker
+export const registerLanguageFeatures = (monaco: Monaco) => {
+  if (registered) return;
+  registered = true;
+
+  for (const defaults of [monaco.languages.typescript.typescriptDefaults, monaco.languages.typescript.javascriptDefaults]) {
+    defaults.setModeConfiguration({ ...defaults.modeConfiguration, definitions: false, references: false, hovers: false });
+  }
+
+  monaco.languages.registerDefinitionProvider(LANGUAGES, {
+    provideDefinition: async (model, position) =>
+      toMonacoLocations(monaco, (await lookup('definition', model, position))?.definitions ?? []),
+  });
+
+  monaco.languages.registerReferenceProvider(LANGUAGES, {
+    provideReferences: async (model, position) =>
+      toMonacoLocations(monaco, (await lookup('references', model, position))?.references ?? []),
+  });
+
+  monaco.languages.registerHoverProvider(LANGUAGES, {
+    provideHover: async (model, position) => {
+      const info: QuickInfo | null = (await lookup('quickinfo', model, position))?.quickInfo ?? null;
+      if (!info) return null;
+      return {
+        range: new monaco.Range(info.range.line, info.range.column, info.range.endLine, info.range.endColumn),
+        contents: quickInfoToMarkdown(info),
+      };
+    },
+  });
+
+  // Jumps (including into other files) go through the app's navigation so they land in history
+  monaco.editor.registerEditorOpener({
+    openCodeEditor: (_source, resource, selectionOrPosition) => {
+      const file = fileByUri.get(resource.toString());
+      if (!file || !context.openLocation) return false;
+
+      const line = selectionOrPosition
+        ? 'startLineNumber' in selectionOrPosition ? selectionOrPosition.startLineNumber : selectionOrPosition.lineNumber
+        : undefined;
+      const column = selectionOrPosition
+        ? 'startColumn' in selectionOrPosition ? selectionOrPosition.startColumn : selectionOrPosition.column
+        : undefined;
+      context.openLocation({ file, line, column });
+      return true;
+    },
+  });
+};